@@ -0,0 +1,96 @@
+import { ReactNode, useEffect, useRef } from "react";
+
+type Props = {
+  children?: ReactNode;
+};
+
+// The code block, or the <Tabs> of code blocks, that an explanation list is
+// about: the closest element before it with code in it
+const findCodeBlock = (element: Element) => {
+  let sibling = element.previousElementSibling;
+  while (sibling && !sibling.querySelector("pre")) {
+    sibling = sibling.previousElementSibling;
+  }
+  return sibling;
+};
+
+// An ordered list that explains the annotations of the code right before it,
+// e.g. `// (1)`. Pointing at the Nth item highlights badge N in the code of
+// the shown tab, and clicking the badge or the item scrolls to the other one.
+export const Annotations = ({ children }: Props) => {
+  const ref = useRef<HTMLDivElement>(null);
+
+  useEffect(() => {
+    const list = ref.current;
+    const block = list && findCodeBlock(list);
+    if (!block) {
+      return;
+    }
+
+    const items = Array.from(list.querySelectorAll("ol > li"));
+
+    // The badges are looked up every time, as switching tabs replaces them
+    const getBadges = () =>
+      Array.from(block.querySelectorAll<HTMLElement>("[data-annotation]"));
+
+    const setActive = (annotation: string | null) => {
+      getBadges().forEach((badge) => {
+        badge.toggleAttribute(
+          "data-annotation-active",
+          badge.dataset.annotation == annotation,
+        );
+      });
+      items.forEach((item, index) => {
+        item.toggleAttribute(
+          "data-annotation-active",
+          String(index + 1) == annotation,
+        );
+      });
+    };
+
+    const onBadgeClick = (event: Event) => {
+      const badge = (event.target as Element).closest<HTMLElement>(
+        "[data-annotation]",
+      );
+      if (badge) {
+        setActive(badge.dataset.annotation);
+        items[Number(badge.dataset.annotation) - 1]?.scrollIntoView({
+          behavior: "smooth",
+          block: "nearest",
+        });
+      }
+    };
+    block.addEventListener("click", onBadgeClick);
+
+    const listeners = items.map((item, index) => {
+      const annotation = String(index + 1);
+      const onEnter = () => setActive(annotation);
+      const onLeave = () => setActive(null);
+      const onClick = () => {
+        setActive(annotation);
+        getBadges()
+          .find((badge) => badge.dataset.annotation == annotation)
+          ?.scrollIntoView({ behavior: "smooth", block: "nearest" });
+      };
+      item.addEventListener("mouseenter", onEnter);
+      item.addEventListener("mouseleave", onLeave);
+      item.addEventListener("click", onClick);
+      return () => {
+        item.removeEventListener("mouseenter", onEnter);
+        item.removeEventListener("mouseleave", onLeave);
+        item.removeEventListener("click", onClick);
+      };
+    });
+
+    return () => {
+      block.removeEventListener("click", onBadgeClick);
+      listeners.forEach((removeListeners) => removeListeners());
+    };
+  }, []);
+
+  return (
+    <div ref={ref} className="annotations">
+      {children}
+    </div>
+  );
+};
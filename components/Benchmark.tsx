@@ -0,0 +1,70 @@
+import benchmarks from "../data/benchmarks.json";
+import { LANGS, LANGUAGES } from "../lib/languages.mjs";
+
+type Benchmark = {
+  imageSrc: string;
+  runs: number;
+  wallTimeMs: { min: number; median: number; max: number };
+  peakMemoryKb: number | null;
+  machine: string;
+};
+
+const benchmarksByLang: Record<string, Record<string, Benchmark>> = benchmarks;
+
+type Props = {
+  // The image drawn by the listings, or the title of the listings
+  src?: string;
+  title?: string;
+};
+
+const formatTime = (ms: number) =>
+  ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(2)} s`;
+
+const formatMemory = (kb: number) =>
+  kb < 1024 ? `${kb} KB` : `${(kb / 1024).toFixed(1)} MB`;
+
+// Render times of the listings that draw an image, measured by
+// `pnpm run export --gen-image --bench-runs N`
+export const Benchmark = ({ src, title }: Props) => {
+  const rows = LANGS.map((lang) => {
+    const entries = Object.entries(benchmarksByLang[lang] ?? {});
+    const [, benchmark] =
+      entries.find(([entryTitle, benchmark]) =>
+        src ? benchmark.imageSrc == src : entryTitle == title,
+      ) ?? [];
+    return { lang, benchmark };
+  }).filter((row) => row.benchmark);
+
+  if (rows.length == 0) {
+    return null;
+  }
+
+  return (
+    <table className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+      <caption className="mb-1">
+        Render time (median, min–max), peak memory
+      </caption>
+      <tbody>
+        {rows.map(({ lang, benchmark }) => (
+          <tr
+            key={lang}
+            title={`${benchmark.runs} runs on ${benchmark.machine}`}
+          >
+            <th className="pr-2 text-left font-medium">
+              {LANGUAGES[lang].name}
+            </th>
+            <td className="pr-2">
+              {formatTime(benchmark.wallTimeMs.median)} (
+              {formatTime(benchmark.wallTimeMs.min)}–
+              {formatTime(benchmark.wallTimeMs.max)})
+            </td>
+            <td>
+              {benchmark.peakMemoryKb != null &&
+                formatMemory(benchmark.peakMemoryKb)}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
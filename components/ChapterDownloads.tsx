@@ -0,0 +1,40 @@
+import { useRouter } from "next/router";
+
+import downloads from "../data/code/downloads.json";
+import { LANGUAGES } from "../lib/languages.mjs";
+
+type Download = {
+  listing: string;
+  filename: string;
+};
+
+const downloadsByRoute: Record<string, Record<string, Download>> = downloads;
+
+// Links to the projects at the end of the current chapter, zipped by
+// scripts/build-downloads.mjs
+export const ChapterDownloads = () => {
+  const { route } = useRouter();
+  const downloadsByLang = downloadsByRoute[route];
+
+  if (!downloadsByLang) {
+    return null;
+  }
+
+  return (
+    <p className="nx-mt-2 nx-text-sm nx-text-gray-500 dark:nx-text-gray-400">
+      Download the project at the end of this chapter:{" "}
+      {Object.entries(downloadsByLang).map(([lang, { filename }], index) => (
+        <span key={lang}>
+          {index > 0 && " · "}
+          <a
+            href={`/downloads/${filename}`}
+            download
+            className="nx-text-primary-600 nx-underline nx-decoration-from-font [text-underline-position:from-font]"
+          >
+            {LANGUAGES[lang].name}
+          </a>
+        </span>
+      ))}
+    </p>
+  );
+};
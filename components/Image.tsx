@@ -1,6 +1,8 @@
 import NextImage from "next/image";
 import { CSSProperties } from "react";
 
+import { Benchmark } from "./Benchmark";
+
 type ImgProps = {
   caption: string;
   src: string;
@@ -21,6 +23,7 @@ export const Img = ({ caption, src, style }: ImgProps) => {
         quality={95}
       />
       <figcaption className="mt-1 text-sm">{caption}</figcaption>
+      <Benchmark src={src} />
     </figure>
   );
 };
@@ -0,0 +1,47 @@
+import Link from "next/link";
+import { Code, Pre } from "nextra/components";
+import { useData } from "nextra/data";
+
+import { LANGUAGES } from "../lib/languages.mjs";
+
+type File = {
+  filename: string;
+  content: string;
+};
+
+type Data = {
+  lang: string;
+  title: string;
+  chapterHref: string;
+  chapterTitle: string;
+  files: File[];
+};
+
+// Every file of the project right after a listing, from the snapshots
+// written by the export script
+export const ListingSnapshot = () => {
+  const { lang, title, chapterHref, chapterTitle, files }: Data = useData();
+
+  return (
+    <>
+      <h1 className="nx-mt-2 nx-text-4xl nx-font-bold nx-tracking-tight nx-text-slate-900 dark:nx-text-slate-100">
+        {title}
+      </h1>
+      <p className="nx-mt-6 nx-leading-7">
+        The full {LANGUAGES[lang].name} project right after this listing in{" "}
+        <Link
+          href={chapterHref}
+          className="nx-text-primary-600 nx-underline nx-decoration-from-font [text-underline-position:from-font]"
+        >
+          {chapterTitle}
+        </Link>
+        .
+      </p>
+      {files.map((file) => (
+        <Pre key={file.filename} filename={file.filename} hasCopyCode>
+          <Code>{file.content}</Code>
+        </Pre>
+      ))}
+    </>
+  );
+};
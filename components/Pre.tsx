@@ -0,0 +1,308 @@
+import Link from "next/link";
+import { Button, CopyToClipboard, Pre as NextraPre } from "nextra/components";
+import { ArrowRightIcon } from "nextra/icons";
+import {
+  ComponentProps,
+  MouseEvent,
+  ReactNode,
+  SyntheticEvent,
+  useRef,
+  useState,
+} from "react";
+import { createPortal } from "react-dom";
+
+import snapshots from "../data/code/snapshots.json";
+import { LANGS } from "../lib/languages.mjs";
+import {
+  getListingAnchor,
+  getListingHref,
+  getListingSlug,
+} from "../lib/listings.mjs";
+
+// The slugs of the listings with a snapshot page, by language
+const snapshotSlugsByLang: Record<string, string[]> = snapshots;
+
+// Nextra's Pre renders its filename as the content of the title bar, so it
+// takes any node, e.g. a link, although Nextra types it as a string
+type TitleBarPreProps = Omit<ComponentProps<typeof NextraPre>, "filename"> & {
+  filename?: ReactNode;
+};
+const TitleBarPre = NextraPre as (
+  props: TitleBarPreProps,
+) => ReturnType<typeof NextraPre>;
+
+type Props = ComponentProps<typeof NextraPre> & {
+  "data-language"?: string;
+  "data-folds"?: number;
+  "data-highlighted-lines"?: string;
+};
+
+// Show or hide the lines of a folded range (data-fold="start-end")
+const setFoldExpanded = (
+  pre: Element,
+  toggle: HTMLElement,
+  expanded: boolean,
+) => {
+  const fold = toggle.dataset.foldToggle;
+  toggle.setAttribute("aria-expanded", String(expanded));
+  pre.querySelectorAll(`.line[data-fold="${fold}"]`).forEach((line) => {
+    line.toggleAttribute("data-fold-expanded", expanded);
+  });
+};
+
+const toggleFold = (event: MouseEvent<HTMLPreElement>) => {
+  const toggle = (event.target as Element).closest<HTMLElement>(
+    "button[data-fold-toggle]",
+  );
+  if (toggle) {
+    const expanded = toggle.getAttribute("aria-expanded") == "true";
+    setFoldExpanded(event.currentTarget, toggle, !expanded);
+  }
+};
+
+type CopyVariant = "file" | "visible" | "highlighted";
+
+const COPY_VARIANTS: Array<[CopyVariant, string]> = [
+  ["file", "Whole file"],
+  ["visible", "Visible lines"],
+  ["highlighted", "Highlighted lines only"],
+];
+
+// Line numbers as ranges, e.g. "2-4,7"
+const parseLineNumbers = (value?: string) => {
+  const lines = new Set<number>();
+  for (const range of value ? value.split(",") : []) {
+    const [start, end = start] = range.split("-").map(Number);
+    for (let line = start; line <= end; line++) {
+      lines.add(line);
+    }
+  }
+  return lines;
+};
+
+// The code as it is after the listing, from the source of the code block
+// (data-code), without its removed lines: all of it, the lines that are not
+// folded, or the highlighted lines. The source has no fold toggles and
+// annotation markers, and its empty lines are really empty.
+const getCopyValue = (pre: HTMLElement, variant: CopyVariant) => {
+  const lines: string[] = JSON.parse(pre.dataset.code ?? '""').split("\n");
+  const removedLines = parseLineNumbers(pre.dataset.removedLines);
+  const highlightedLines = parseLineNumbers(pre.dataset.highlightedLines);
+  const lineElements = pre.querySelectorAll(".line");
+
+  return lines
+    .filter((_, index) => {
+      if (removedLines.has(index + 1)) {
+        return false;
+      }
+      if (variant == "highlighted") {
+        return highlightedLines.has(index + 1);
+      }
+      if (variant == "visible") {
+        return !lineElements[index]?.matches(
+          "[data-fold]:not([data-fold-expanded])",
+        );
+      }
+      return true;
+    })
+    .join("\n");
+};
+
+// Nextra's copy button copies the text of the whole code block, so it is
+// replaced with one that copies the whole file without the removed lines,
+// and a menu to copy only the visible or the highlighted lines. They sit in
+// the same place, left of the word wrap button on small screens.
+const CopyCodeMenu = ({
+  hasFilename,
+  hasHighlightedLines,
+}: {
+  hasFilename: boolean;
+  hasHighlightedLines: boolean;
+}) => {
+  const ref = useRef<HTMLDivElement>(null);
+  const [open, setOpen] = useState(false);
+  const top = hasFilename ? "top-8" : "top-0";
+
+  const getPre = () => ref.current?.closest("pre");
+
+  const copy = async (variant: CopyVariant) => {
+    const pre = getPre();
+    setOpen(false);
+    if (pre) {
+      await navigator.clipboard.writeText(getCopyValue(pre, variant));
+    }
+  };
+
+  return (
+    <div
+      ref={ref}
+      onBlur={(event) => {
+        if (!event.currentTarget.contains(event.relatedTarget)) {
+          setOpen(false);
+        }
+      }}
+      className={`absolute right-9 ${top} m-[11px] flex gap-1 transition focus-within:opacity-100 md:right-0 [div:hover>pre>&]:opacity-100 ${
+        open ? "opacity-100" : "opacity-0"
+      }`}
+    >
+      <CopyToClipboard
+        title="Copy the whole file"
+        getValue={() => {
+          const pre = getPre();
+          return pre ? getCopyValue(pre, "file") : "";
+        }}
+      />
+      <Button
+        title="More ways to copy"
+        aria-haspopup="menu"
+        aria-expanded={open}
+        onClick={() => setOpen(!open)}
+      >
+        <ArrowRightIcon className="pointer-events-none h-4 w-4 rotate-90" />
+      </Button>
+      {open && (
+        <div
+          role="menu"
+          className="absolute right-0 top-full z-10 mt-1 flex flex-col whitespace-nowrap rounded-md border border-black/5 bg-white py-1 text-sm shadow-lg dark:border-white/10 dark:bg-neutral-900"
+        >
+          {COPY_VARIANTS.map(([variant, label]) => (
+            <button
+              key={variant}
+              type="button"
+              role="menuitem"
+              disabled={variant == "highlighted" && !hasHighlightedLines}
+              onClick={() => copy(variant)}
+              className="px-3 py-1 text-left hover:bg-black/5 disabled:opacity-50 disabled:hover:bg-transparent dark:hover:bg-white/10"
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+type SymbolPreviewProps = {
+  title?: string;
+  preview: string;
+  top: number;
+  left: number;
+};
+
+// The definition of a linked identifier (<a data-symbol>), shown below it
+// while pointing at it. It goes in the body, so that the scrolling of the code
+// doesn't cut it off.
+const SymbolPreview = ({ title, preview, top, left }: SymbolPreviewProps) =>
+  createPortal(
+    <div
+      role="tooltip"
+      style={{ top, left }}
+      className="pointer-events-none fixed z-20 max-w-xl overflow-hidden rounded-md border border-gray-200 bg-white text-xs shadow-lg dark:border-neutral-700 dark:bg-neutral-900"
+    >
+      {title && (
+        <div className="border-b border-gray-200 px-3 py-1 text-gray-500 dark:border-neutral-700 dark:text-gray-400">
+          {title}
+        </div>
+      )}
+      <pre className="px-3 py-2">{preview}</pre>
+    </div>,
+    document.body,
+  );
+
+const ExpandAllButton = () => {
+  const [expanded, setExpanded] = useState(false);
+
+  const toggleAll = (event: MouseEvent<HTMLButtonElement>) => {
+    const pre = event.currentTarget
+      .closest(".nextra-code-block")
+      ?.querySelector("pre");
+    pre
+      ?.querySelectorAll<HTMLElement>("button[data-fold-toggle]")
+      .forEach((toggle) => setFoldExpanded(pre, toggle, !expanded));
+    setExpanded(!expanded);
+  };
+
+  return (
+    <button
+      type="button"
+      onClick={toggleAll}
+      className="float-right ml-4 hover:underline"
+    >
+      {expanded ? "Fold all" : "Expand all"}
+    </button>
+  );
+};
+
+// Link the title bar of a listing ("main.rs | Title") to the full project
+// right after the listing, if the export wrote a snapshot of it, expand the
+// folded lines of the code on click, show the definitions of the linked
+// identifiers, and copy the code without its removed lines. The code block of
+// each file of a listing is the target of the identifiers linked to it.
+export const Pre = ({ filename, hasCopyCode, children, ...props }: Props) => {
+  const lang = props["data-language"];
+  const [file, title] = filename?.split(" | ") ?? [];
+  const [symbol, setSymbol] = useState<SymbolPreviewProps | null>(null);
+
+  const showSymbol = (event: SyntheticEvent) => {
+    const link = (event.target as Element).closest<HTMLElement>(
+      "a[data-symbol]",
+    );
+    if (!link?.dataset.symbolPreview) {
+      setSymbol(null);
+      return;
+    }
+    const rect = link.getBoundingClientRect();
+    setSymbol({
+      title: link.dataset.symbolTitle,
+      preview: JSON.parse(link.dataset.symbolPreview),
+      top: rect.bottom + 4,
+      left: rect.left,
+    });
+  };
+
+  const isListing = title && LANGS.includes(lang);
+
+  let titleBar: ReactNode = filename;
+  if (isListing && snapshotSlugsByLang[lang]?.includes(getListingSlug(title))) {
+    titleBar = (
+      <Link
+        href={getListingHref(lang, title)}
+        title="View the full project at this listing"
+        className="hover:underline"
+      >
+        {filename}
+      </Link>
+    );
+  }
+  if (filename && props["data-folds"]) {
+    titleBar = (
+      <>
+        <ExpandAllButton />
+        {titleBar}
+      </>
+    );
+  }
+
+  return (
+    <TitleBarPre
+      filename={titleBar}
+      id={isListing ? getListingAnchor(lang, title, file) : undefined}
+      onClick={toggleFold}
+      onMouseOver={showSymbol}
+      onMouseLeave={() => setSymbol(null)}
+      onFocus={showSymbol}
+      onBlur={() => setSymbol(null)}
+      {...props}
+    >
+      {children}
+      {hasCopyCode && (
+        <CopyCodeMenu
+          hasFilename={!!filename}
+          hasHighlightedLines={!!props["data-highlighted-lines"]}
+        />
+      )}
+      {symbol && <SymbolPreview {...symbol} />}
+    </TitleBarPre>
+  );
+};
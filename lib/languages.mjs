@@ -0,0 +1,47 @@
+// The implementation languages of the tutorial, keyed by the language of
+// their code blocks. Adding a language only takes an entry here and a starter
+// template.
+//
+// - name: shown on the site, and the label of the language's <Tab>s
+// - starterRepoPath: the starter template, relative to the code folder
+// - sourceFolder: where the listing files go in the project
+// - extensions: the source files of the project
+// - commands: run in the project folder. addDep adds the dependency given
+//   by the addCargoDep meta, and run prints the program output. lint must
+//   report the warnings of every source file, e.g. the headers for
+//   clang-tidy, where most of the C++ listings are. printRun prints the
+//   command that runs the built program without building it, which is timed
+//   by the benchmarks.
+export const LANGUAGES = {
+  rust: {
+    name: "Rust",
+    starterRepoPath: "../templates/ray-tracing-starter-rust",
+    sourceFolder: "src",
+    extensions: [".rs"],
+    commands: {
+      addDep: (dep) => `cargo add ${dep}`,
+      format: "cargo +nightly fmt",
+      build: "cargo build --release",
+      lint: "cargo clippy --release --message-format=short",
+      run: "cargo run --release",
+      printRun:
+        "echo ./target/release/$(sed -n 's/^name *= *\"\\(.*\\)\"/\\1/p' Cargo.toml | head -n 1)",
+    },
+  },
+  cpp: {
+    name: "C++",
+    starterRepoPath: "../templates/ray-tracing-starter-cpp",
+    sourceFolder: "src",
+    extensions: [".cpp", ".h"],
+    commands: {
+      addDep: null,
+      format: "clang-format -i src/*",
+      build: "make clean; make build-release",
+      lint: "clang-tidy -header-filter='src/.*' src/*.cpp -- -std=c++17 -Wall -Wextra",
+      run: "make run-release",
+      printRun: "make -s -n run-release",
+    },
+  },
+};
+
+export const LANGS = Object.keys(LANGUAGES);
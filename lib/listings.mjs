@@ -0,0 +1,19 @@
+import slugify from "slugify";
+
+// Shared by the export script, which names the listing snapshots, and the
+// pages that link to them
+export const getListingSlug = (title) =>
+  slugify(title, { lower: true, strict: true });
+
+// The page showing every file of the project right after a listing
+export const getListingHref = (lang, title) =>
+  `/code/${lang}/${getListingSlug(title)}`;
+
+// The chapter page of an MDX file, e.g. "pages/9-metal.mdx" is "/9-metal"
+export const getChapterHref = (mdxFilename) =>
+  mdxFilename.replace(/^pages/, "").replace(/\.mdx$/, "");
+
+// The id of the code block of a file of a listing on its chapter page, e.g.
+// "rust-the-material-trait-material-rs"
+export const getListingAnchor = (lang, title, filename) =>
+  `${lang}-${getListingSlug(`${title} ${filename.replaceAll(".", " ")}`)}`;
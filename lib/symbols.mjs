@@ -0,0 +1,33 @@
+// Written by scripts/build-symbols.mjs from the listings of the pages
+export const SYMBOLS_FILENAME = "data/symbols.json";
+
+// The link of an identifier in a code block to the listing that last defined
+// or changed it before the listing of the code block. Code blocks that aren't
+// listings link to the first definition, and a listing that changes the item
+// itself doesn't link it.
+export const getSymbolLink = (symbols, lang, name, listingTitle) => {
+  const history = symbols[lang];
+  const entries = history?.symbols[name];
+  if (!entries) {
+    return null;
+  }
+
+  const index = history.listings.indexOf(listingTitle);
+  let entry = entries[0];
+  if (index != -1) {
+    if (entries.some((entry) => entry.listing == index)) {
+      return null;
+    }
+    entry = entries.findLast((entry) => entry.listing < index);
+  }
+  if (!entry) {
+    return null;
+  }
+
+  return {
+    href: entry.href,
+    title: `${entry.kind} ${name} (${entry.title})`,
+    // As JSON, since Next.js joins the lines of JSX attribute values
+    preview: JSON.stringify(entry.preview),
+  };
+};
@@ -1,12 +1,41 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+
 import nextra from "nextra";
 import smartypants from "remark-smartypants";
 
+import { SYMBOLS_FILENAME, getSymbolLink } from "./lib/symbols.mjs";
+
+// Where the items of the listings are defined (pnpm build:symbols), for
+// linking the identifiers in the code blocks to them
+const symbolsJson = fs.existsSync(SYMBOLS_FILENAME)
+  ? fs.readFileSync(SYMBOLS_FILENAME, "utf8")
+  : "{}";
+const symbols = JSON.parse(symbolsJson);
+
 const withNextra = nextra({
   theme: "nextra-theme-docs",
   themeConfig: "./theme.config.jsx",
   latex: true,
   mdxOptions: {
     remarkPlugins: [smartypants],
+    rehypePrettyCodeOptions: {
+      // Highlighted code blocks, reused across builds and dev reloads
+      cacheDir: ".next/cache/rehype-pretty-code",
+      // The links depend on the symbols and on how they are picked
+      cacheKey: crypto
+        .createHash("sha1")
+        .update(symbolsJson)
+        .update(fs.readFileSync("lib/symbols.mjs"))
+        .digest("hex"),
+      getSymbolLink: (name, { lang, attributes }) =>
+        getSymbolLink(
+          symbols,
+          lang,
+          name,
+          attributes.filename?.split(" | ")[1],
+        ),
+    },
   },
   flexsearch: {
     codeblocks: false,
@@ -1,6 +1,7 @@
 import type { Highlighter, IShikiTheme } from 'shiki';
 import type { Transformer } from 'unified';
 import type { Root, Element } from 'hast';
+import type { ParsedMeta } from './meta';
 
 export type VisitableElement = Omit<Element, 'properties'> & {
   properties: Properties & { className?: string[] };
@@ -8,18 +9,51 @@ export type VisitableElement = Omit<Element, 'properties'> & {
 
 type Theme = IShikiTheme | string;
 
+export interface SymbolLink {
+  href: string;
+  /** Shown above the preview, e.g. "struct HitRecord" */
+  title?: string;
+  /** The code of the definition, shown when pointing at the link */
+  preview?: string;
+}
+
 export interface Options {
   theme?: Theme | Record<string, Theme>;
   keepBackground?: boolean;
+  /**
+   * With more than one theme, output one tree with the colors of every theme
+   * as CSS variables (--shiki-<mode>), instead of one tree per theme. Its
+   * data-theme lists every mode, e.g. "dark light", and the page picks the
+   * colors with CSS, e.g.
+   * `html.dark [data-theme~="dark"] span { color: var(--shiki-dark) }`.
+   * Off by default.
+   */
+  cssVariables?: boolean;
   tokensMap?: Record<string, string>;
   filterMetaString?(str: string): string;
   onVisitLine?(element: VisitableElement): void;
   onVisitHighlightedLine?(element: VisitableElement): void;
+  onVisitAddedLine?(element: VisitableElement): void;
+  onVisitRemovedLine?(element: VisitableElement): void;
   onVisitHighlightedWord?(
     element: VisitableElement,
     id: string | undefined
   ): void;
+  /**
+   * The link of an identifier in a code block, e.g. to its definition, with
+   * the language and the meta attributes of the code block, including those
+   * that filterMetaString removes. Identifiers in comments and strings aren't
+   * linked.
+   */
+  getSymbolLink?(
+    name: string,
+    block: { lang: string; attributes: ParsedMeta['attributes'] }
+  ): SymbolLink | null | undefined;
   getHighlighter?(options: Pick<Options, 'theme'>): Promise<Highlighter>;
+  /** Directory of a disk cache of highlighted code blocks */
+  cacheDir?: string;
+  /** Change to invalidate the disk cache, e.g. when the hooks use outer state */
+  cacheKey?: string;
 }
 
 export default function rehypePrettyCode(
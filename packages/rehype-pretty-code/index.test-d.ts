@@ -12,7 +12,18 @@ unified().use(rehypePrettyCode, {
   onVisitHighlightedLine(element) {
     element.properties.className?.push('highlighted');
   },
+  onVisitAddedLine(element) {
+    element.properties.className?.push('added');
+  },
+  onVisitRemovedLine(element) {
+    element.properties.className?.push('removed');
+  },
   onVisitHighlightedWord(element) {
     element.properties.className = ['word'];
   },
+  getSymbolLink(name, { lang, attributes }) {
+    return lang === 'rust' && !attributes.title
+      ? { href: `/docs#${name}`, preview: `struct ${name};` }
+      : null;
+  },
 });
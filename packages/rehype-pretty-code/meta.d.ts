@@ -0,0 +1,39 @@
+/** A highlighted word, e.g. /word/1-2#id, or a pattern, e.g. r/\d+/#id */
+export interface MetaWord {
+  word: string;
+  range: number[];
+  id?: string;
+  /** The word is the source of a regular expression */
+  regex?: boolean;
+}
+
+/** A region folded by hand, e.g. fold={20-85:"operator impls"} */
+export interface FoldRegion {
+  start: number;
+  end: number;
+  label?: string;
+}
+
+export interface MetaError {
+  message: string;
+  offset: number;
+}
+
+export interface ParsedMeta {
+  attributes: Record<
+    string,
+    string | number | boolean | number[] | FoldRegion[]
+  >;
+  lineNumbers: number[];
+  words: MetaWord[];
+  errors: MetaError[];
+}
+
+export const META_SCHEMA: Record<
+  string,
+  'string' | 'integer' | 'flag' | 'range' | 'size' | 'folds'
+>;
+
+export const ANNOTATION_REGEX: RegExp;
+
+export function parseMeta(meta: string): ParsedMeta;
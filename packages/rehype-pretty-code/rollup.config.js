@@ -26,6 +26,15 @@ export default defineConfig([
       format: 'esm',
     },
   },
+  {
+    ...common,
+    input: './src/meta.ts',
+    output: {
+      exports: 'named',
+      file: './dist/meta.js',
+      format: 'esm',
+    },
+  },
   //{
   //  ...common,
   //  output: {
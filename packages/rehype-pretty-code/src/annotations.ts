@@ -0,0 +1,51 @@
+import type { Element } from 'hast';
+import { toString } from 'hast-util-to-string';
+import { ANNOTATION_REGEX } from './meta';
+import { isElement, isText } from './utils';
+
+/**
+ * Removes the last `length` characters of the text in an element, and the
+ * child nodes that are left empty. Returns the number of characters that are
+ * still to be removed.
+ */
+function removeTrailingText(element: Element, length: number): number {
+  for (let i = element.children.length - 1; i >= 0 && length > 0; i--) {
+    const child = element.children[i];
+    if (isText(child)) {
+      const count = Math.min(length, child.value.length);
+      child.value = child.value.slice(0, child.value.length - count);
+      length -= count;
+    } else if (isElement(child)) {
+      length = removeTrailingText(child, length);
+    }
+
+    if (toString(child) === '') {
+      element.children.splice(i, 1);
+    }
+  }
+  return length;
+}
+
+/**
+ * Replaces the annotation marker at the end of a line, e.g. `// (1)`, with a
+ * numbered badge. The badge has no text, so that copying the code leaves it
+ * out, and is numbered with CSS from data-annotation.
+ */
+export function annotateLine(line: Element) {
+  const match = toString(line).match(ANNOTATION_REGEX);
+  if (!match) {
+    return;
+  }
+
+  removeTrailingText(line, match[0].length);
+  line.children.push({
+    type: 'element',
+    tagName: 'button',
+    properties: {
+      type: 'button',
+      'data-annotation': Number(match[1]),
+      'aria-label': `Annotation ${match[1]}`,
+    },
+    children: [],
+  });
+}
@@ -0,0 +1,71 @@
+import { createHash } from 'crypto';
+import { mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import type { Element } from 'hast';
+
+type CachedElement = Pick<Element, 'tagName' | 'properties' | 'children'>;
+
+export interface DiskCache {
+  get(key: string): CachedElement | undefined;
+  set(key: string, element: CachedElement): void;
+}
+
+let pluginHash: string | undefined;
+
+/**
+ * Hashes the code of the plugin itself, so that any change to it (not only a
+ * new version) invalidates the cached code blocks.
+ */
+function getPluginHash() {
+  if (pluginHash === undefined) {
+    try {
+      pluginHash = createHash('sha1')
+        .update(readFileSync(new URL(import.meta.url)))
+        .digest('hex');
+    } catch {
+      pluginHash = '';
+    }
+  }
+  return pluginHash;
+}
+
+/**
+ * A content-addressed cache of highlighted code blocks: one JSON file of HAST
+ * per key in `dir`. Keys are hashes of everything that the output depends on,
+ * so stale entries are never read, only left behind.
+ */
+export function createDiskCache(dir: string): DiskCache {
+  mkdirSync(dir, { recursive: true });
+
+  return {
+    get(key) {
+      try {
+        return JSON.parse(readFileSync(join(dir, `${key}.json`), 'utf8'));
+      } catch {
+        return undefined;
+      }
+    },
+    set(key, { tagName, properties, children }) {
+      // Positions only point into the HTML of the highlighter
+      const json = JSON.stringify({ tagName, properties, children }, (k, v) =>
+        k === 'position' ? undefined : v
+      );
+      // Write to a temporary file first, so that a concurrent build never
+      // reads a half-written entry
+      const filename = join(dir, `${key}.json`);
+      const tempFilename = `${filename}.${process.pid}.tmp`;
+      writeFileSync(tempFilename, json);
+      renameSync(tempFilename, filename);
+    },
+  };
+}
+
+/**
+ * Hashes the inputs of a cached code block, together with the plugin's code.
+ */
+export function getCacheKey(inputs: Record<string, unknown>) {
+  return createHash('sha1')
+    .update(getPluginHash())
+    .update(JSON.stringify(inputs))
+    .digest('hex');
+}
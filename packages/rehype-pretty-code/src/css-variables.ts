@@ -0,0 +1,153 @@
+import { FontStyle, renderToHtml } from 'shiki';
+import type { Highlighter, IThemedToken } from 'shiki';
+
+type StyledToken = IThemedToken & { style: string };
+
+/**
+ * The style of a token in one theme, as CSS variables named after the mode,
+ * e.g. --shiki-dark:#f97583;--shiki-dark-font-style:italic. The text color of
+ * the theme is left out, as it is inherited from the <code>.
+ */
+function getTokenStyle(mode: string, token: IThemedToken, fg: string) {
+  const declarations = [];
+  if (token.color && token.color.toLowerCase() !== fg.toLowerCase()) {
+    declarations.push(`--shiki-${mode}:${token.color}`);
+  }
+  const fontStyle = token.fontStyle ?? FontStyle.NotSet;
+  if (fontStyle > 0 && fontStyle & FontStyle.Italic) {
+    declarations.push(`--shiki-${mode}-font-style:italic`);
+  }
+  if (fontStyle > 0 && fontStyle & FontStyle.Bold) {
+    declarations.push(`--shiki-${mode}-font-weight:bold`);
+  }
+  if (fontStyle > 0 && fontStyle & FontStyle.Underline) {
+    declarations.push(`--shiki-${mode}-text-decoration:underline`);
+  }
+  return declarations.join(';');
+}
+
+/**
+ * Splits the tokens of a line at the token boundaries of every theme, so that
+ * each piece has one style per theme, and joins the neighboring pieces that
+ * end up with the same styles.
+ */
+function mergeLine(
+  lineByMode: Array<[string, IThemedToken[], string]>
+): StyledToken[] {
+  const boundaries = new Set<number>();
+  for (const [, tokens] of lineByMode) {
+    let offset = 0;
+    for (const token of tokens) {
+      offset += token.content.length;
+      boundaries.add(offset);
+    }
+  }
+
+  const content = lineByMode[0][1].map((token) => token.content).join('');
+  const merged: StyledToken[] = [];
+  let start = 0;
+  for (const end of [...boundaries].sort((a, b) => a - b)) {
+    if (end === start) {
+      continue;
+    }
+
+    // The token of each theme that this piece is part of
+    const style = lineByMode
+      .map(([mode, tokens, fg]) => {
+        let tokenEnd = 0;
+        const token = tokens.find((token) => {
+          tokenEnd += token.content.length;
+          return tokenEnd > start;
+        }) as IThemedToken;
+        return getTokenStyle(mode, token, fg);
+      })
+      .filter((style) => style)
+      .join(';');
+
+    const last = merged[merged.length - 1];
+    if (last?.style === style) {
+      last.content += content.slice(start, end);
+    } else {
+      merged.push({ content: content.slice(start, end), style });
+    }
+    start = end;
+  }
+  return merged;
+}
+
+/**
+ * Highlights code once per theme and renders one tree, with the colors of
+ * every theme as CSS variables on each token, the text colors on the <code>
+ * (--shiki-<mode>), and the background colors on the <pre>
+ * (--shiki-<mode>-bg), which is only kept with keepBackground. The page
+ * switches between them with CSS, e.g.
+ * `html.dark [data-theme] span { color: var(--shiki-dark) }`.
+ */
+export function codeToHtmlWithCssVariables(
+  highlighters: Map<string, Highlighter>,
+  code: string,
+  lang: string
+): string {
+  const tokensByMode = [...highlighters.entries()].map(
+    ([mode, highlighter]): [string, IThemedToken[][], string] => {
+      let tokens;
+      if (lang === 'ansi' && highlighter.ansiToThemedTokens) {
+        tokens = highlighter.ansiToThemedTokens(code);
+      } else {
+        try {
+          tokens = highlighter.codeToThemedTokens(code, lang, undefined, {
+            includeExplanation: false,
+          });
+        } catch (e) {
+          // Fallback to plain text if a language has not been registered
+          tokens = highlighter.codeToThemedTokens(code, 'txt');
+        }
+      }
+      return [mode, tokens, highlighter.getForegroundColor()];
+    }
+  );
+
+  const lines = tokensByMode[0][1].map((_, index) =>
+    mergeLine(
+      tokensByMode.map(([mode, tokens, fg]) => [mode, tokens[index], fg])
+    )
+  );
+
+  const modes = [...highlighters.entries()];
+  const colors = modes
+    .map(
+      ([mode, highlighter]) =>
+        `--shiki-${mode}:${highlighter.getForegroundColor()}`
+    )
+    .join(';');
+  const backgroundColors = modes
+    .map(
+      ([mode, highlighter]) =>
+        `--shiki-${mode}-bg:${highlighter.getBackgroundColor()}`
+    )
+    .join(';');
+
+  return renderToHtml(lines, {
+    elements: {
+      pre: ({ children }) =>
+        `<pre class="shiki" style="${colors};${backgroundColors}" tabindex="0">${children}</pre>`,
+      code: ({ children }) => `<code style="${colors}">${children}</code>`,
+      token: ({ token, children }) => {
+        const { style } = token as StyledToken;
+        return style
+          ? `<span style="${style}">${children}</span>`
+          : `<span>${children}</span>`;
+      },
+    },
+  });
+}
+
+/**
+ * The color of a token type (`{:.keyword}` in inline code) in every theme,
+ * as CSS variables.
+ */
+export function getTokenColorVariables(
+  colors: Array<[mode: string, color: string]>
+) {
+  return colors.map(([mode, color]) => `--shiki-${mode}:${color}`).join(';');
+}
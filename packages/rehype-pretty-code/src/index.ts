@@ -2,17 +2,51 @@
 
 import hashObj from 'hash-obj';
 import type { Element, ElementContent, Root } from 'hast';
-import rangeParser from 'parse-numeric-range';
 import rehypeParse from 'rehype-parse';
 import { Highlighter, getHighlighter as shikiHighlighter } from 'shiki';
 import { Transformer, unified } from 'unified';
 import { visit } from 'unist-util-visit';
 import type { Options, VisitableElement } from '../';
+import type { FoldRegion } from '../meta';
 import { WordHighlighterOptions } from './types';
+import { ANNOTATION_REGEX, parseMeta } from './meta';
+import { annotateLine } from './annotations';
+import { createDiskCache, getCacheKey } from './cache';
+import { findCommentAndStringSpans, linkSymbols } from './symbol-links';
+import {
+  codeToHtmlWithCssVariables,
+  getTokenColorVariables,
+} from './css-variables';
 import { isElement, isJSON, isText } from './utils';
-import { reverseString } from './word-highlighter/utils';
+import {
+  findPatternSpans,
+  highlightLineSpans,
+} from './word-highlighter/patternHighlighter';
+import type { LineSpan } from './word-highlighter/patternHighlighter';
+import { findWordLines } from './word-highlighter/utils';
 import { wordHighlighter } from './word-highlighter/wordHighlighter';
 
+// The source of a code block and the line numbers to copy it by, which are
+// moved from the <code> to the <pre>
+const SOURCE_PROPERTIES = [
+  'data-code',
+  'data-highlighted-lines',
+  'data-removed-lines',
+];
+
+// Sorted line numbers as ranges, e.g. 2-4,7
+function toRanges(lines: number[]) {
+  const ranges: string[] = [];
+  for (let i = 0; i < lines.length; i++) {
+    const start = lines[i];
+    while (lines[i + 1] === lines[i] + 1) {
+      i++;
+    }
+    ranges.push(start === lines[i] ? `${start}` : `${start}-${lines[i]}`);
+  }
+  return ranges.join(',');
+}
+
 interface ToFragmentProps {
   trees: Record<string, Root>;
   lang: string;
@@ -62,6 +96,18 @@ function toFragment(
       code.properties['data-language'] = lang;
       code.properties['data-theme'] = mode;
 
+      // Lets the title bar offer to expand every folded range
+      if ('data-folds' in code.properties) {
+        pre.properties['data-folds'] = code.properties['data-folds'];
+      }
+
+      for (const key of SOURCE_PROPERTIES) {
+        if (key in code.properties) {
+          pre.properties[key] = code.properties[key];
+          delete code.properties[key];
+        }
+      }
+
       if (inline) {
         if (keepBackground) code.properties['style'] = pre.properties['style'];
         return code;
@@ -114,6 +160,76 @@ const globalHighlighterCache = new Map<
   Map<string, Promise<Highlighter>>
 >();
 
+/**
+ * A button that expands or collapses the lines of a folded range, which are
+ * marked with data-fold="start-end". It has no text, so that copying the code
+ * leaves it out, and is labeled with CSS from data-fold-lines and
+ * data-fold-label.
+ */
+function createFoldToggle(
+  foldId: string,
+  { start, end, label }: FoldRegion
+): Element {
+  const numLines = end - start + 1;
+  return {
+    type: 'element',
+    tagName: 'button',
+    properties: {
+      type: 'button',
+      'data-fold-toggle': foldId,
+      'data-fold-start': start,
+      'data-fold-end': end,
+      'data-fold-lines': numLines,
+      'data-fold-label': label,
+      'aria-expanded': 'false',
+      'aria-label': label
+        ? `${label}, ${numLines} folded lines`
+        : `${numLines} folded lines`,
+    },
+    children: [],
+  };
+}
+
+/**
+ * Combines the folds derived from the highlighted lines with the regions
+ * folded by hand (fold={20-85:"label"}). The regions are folded as they are,
+ * and the parts of the derived folds outside them are kept if they are still
+ * longer than foldThreshold.
+ */
+function combineFolds(
+  folds: FoldRegion[],
+  regions: FoldRegion[],
+  lineSize: number,
+  foldThreshold: number
+): FoldRegion[] {
+  const combined = regions
+    .map((region) => ({ ...region, end: Math.min(region.end, lineSize) }))
+    .filter(({ start, end }) => start <= end);
+
+  const addPart = (start: number, end: number) => {
+    if (end - start + 1 > foldThreshold) {
+      combined.push({ start, end });
+    }
+  };
+  for (const fold of folds) {
+    let start = fold.start;
+    for (const region of regions) {
+      if (region.end < start || region.start > fold.end) {
+        continue;
+      }
+      if (region.start > start) {
+        addPart(start, region.start - 1);
+      }
+      start = region.end + 1;
+    }
+    if (start <= fold.end) {
+      addPart(start, fold.end);
+    }
+  }
+
+  return combined.sort((a, b) => a.start - b.start);
+}
+
 export default function rehypePrettyCode(
   options: Options = {}
 ): void | Transformer<Root, Root> {
@@ -124,8 +240,14 @@ export default function rehypePrettyCode(
     filterMetaString = (v) => v,
     onVisitLine,
     onVisitHighlightedLine,
+    onVisitAddedLine,
+    onVisitRemovedLine,
     onVisitHighlightedWord,
+    getSymbolLink,
     getHighlighter = shikiHighlighter,
+    cssVariables = false,
+    cacheDir,
+    cacheKey,
   } = options;
 
   const optionsHash = hashObj(
@@ -134,7 +256,10 @@ export default function rehypePrettyCode(
       tokensMap,
       onVisitLine,
       onVisitHighlightedLine,
+      onVisitAddedLine,
+      onVisitRemovedLine,
       onVisitHighlightedWord,
+      getSymbolLink,
       getHighlighter,
     },
     { algorithm: 'sha1' }
@@ -145,8 +270,39 @@ export default function rehypePrettyCode(
     globalHighlighterCache.set(optionsHash, highlighterCache);
   }
   const highlighters = new Map();
+
+  // Everything but the code block itself that the highlighted code depends
+  // on, with the functions as their source code. It is serialized right away,
+  // as Shiki changes the theme objects when it loads them.
+  const diskCache = cacheDir ? createDiskCache(cacheDir) : null;
+  const cacheOptions = JSON.stringify({
+    theme,
+    keepBackground,
+    tokensMap,
+    cssVariables,
+    cacheKey,
+    functions: [
+      filterMetaString,
+      onVisitLine,
+      onVisitHighlightedLine,
+      onVisitAddedLine,
+      onVisitRemovedLine,
+      onVisitHighlightedWord,
+      getSymbolLink,
+      getHighlighter,
+    ].map(String),
+  });
+
   const hastParser = unified().use(rehypeParse, { fragment: true });
 
+  // The color of a token type, e.g. `{:.keyword}` in inline code
+  const getTokenColor = (highlighter: Highlighter, meta: string) =>
+    highlighter
+      .getTheme()
+      .settings.find(({ scope }: { scope?: string[] }) =>
+        scope?.includes(tokensMap[meta.slice(1)] ?? meta.slice(1))
+      )?.settings.foreground ?? 'inherit';
+
   if (theme == null || typeof theme === 'string' || isJSON(theme)) {
     if (!highlighterCache.has('default')) {
       highlighterCache.set('default', getHighlighter({ theme }));
@@ -160,7 +316,7 @@ export default function rehypePrettyCode(
     }
   }
 
-  return async (tree) => {
+  return async (tree, file) => {
     if (!highlighterCache) return;
 
     for (const [mode, loadHighlighter] of highlighterCache.entries()) {
@@ -203,26 +359,40 @@ export default function rehypePrettyCode(
         const isLang = meta[0] !== '.';
 
         const trees: Record<string, Root> = {};
-        for (const [mode, highlighter] of highlighters.entries()) {
-          if (!isLang || (meta === 'ansi' && !highlighter.ansiToHtml)) {
-            const color =
-              highlighter
-                .getTheme()
-                .settings.find(({ scope }: { scope?: string[] }) =>
-                  scope?.includes(tokensMap[meta.slice(1)] ?? meta.slice(1))
-                )?.settings.foreground ?? 'inherit';
-
-            trees[mode] = hastParser.parse(
-              `<pre><code><span style="color:${color}">${strippedValue}</span></code></pre>`
+        if (cssVariables) {
+          const modes = [...highlighters.keys()].join(' ');
+          if (isLang) {
+            trees[modes] = hastParser.parse(
+              codeToHtmlWithCssVariables(highlighters, strippedValue, meta)
             );
           } else {
-            let html;
-            if (meta === 'ansi') {
-              html = highlighter.ansiToHtml(strippedValue);
+            const style = getTokenColorVariables(
+              [...highlighters.entries()].map(([mode, highlighter]) => [
+                mode,
+                getTokenColor(highlighter, meta),
+              ])
+            );
+            trees[modes] = hastParser.parse(
+              `<pre><code><span style="${style}">${strippedValue}</span></code></pre>`
+            );
+          }
+        } else {
+          for (const [mode, highlighter] of highlighters.entries()) {
+            if (!isLang || (meta === 'ansi' && !highlighter.ansiToHtml)) {
+              const color = getTokenColor(highlighter, meta);
+
+              trees[mode] = hastParser.parse(
+                `<pre><code><span style="color:${color}">${strippedValue}</span></code></pre>`
+              );
             } else {
-              html = highlighter.codeToHtml(strippedValue, meta);
+              let html;
+              if (meta === 'ansi') {
+                html = highlighter.ansiToHtml(strippedValue);
+              } else {
+                html = highlighter.codeToHtml(strippedValue, meta);
+              }
+              trees[mode] = hastParser.parse(html);
             }
-            trees[mode] = hastParser.parse(html);
           }
         }
 
@@ -264,57 +434,106 @@ export default function rehypePrettyCode(
             ''
           : '';
 
-        let meta = filterMetaString(metastring);
-
-        const tiltleMatch = meta.match(/title="([^"]*)"/);
-        const title = tiltleMatch?.[1] ?? null;
-        meta = meta.replace(tiltleMatch?.[0] ?? '', '');
+        const meta = filterMetaString(metastring);
+        const { attributes, lineNumbers, errors, ...parsedMeta } =
+          parseMeta(meta);
+        for (const error of errors) {
+          const line = element.position?.start.line ?? '?';
+          console.warn(`${file?.path ?? ''}:${line}: ${error.message}`);
+        }
 
-        const captionMatch = meta.match(/caption="([^"]*)"/);
-        const caption = captionMatch?.[1] ?? null;
-        meta = meta.replace(captionMatch?.[0] ?? '', '');
+        // Reuse the highlighted code block from the disk cache, if any
+        const blockCacheKey =
+          diskCache && isText(textElement)
+            ? getCacheKey({
+                options: cacheOptions,
+                code: textElement.value,
+                lang,
+                metastring,
+              })
+            : null;
+        const cached = blockCacheKey && diskCache.get(blockCacheKey);
+        if (cached) {
+          Object.assign(element, cached);
+          return;
+        }
 
-        const lineNumbers = meta
-          ? rangeParser(meta.match(/(?:^|\s){(.*?)}/)?.[1] ?? '')
-          : [];
+        const title = attributes.title ?? null;
+        const caption = attributes.caption ?? null;
         let lineNumbersMaxDigits = 0;
 
         const words: string[] = [];
         const wordNumbers: Array<number[]> = [];
         const wordIdsMap = new Map();
 
-        const wordMatches = meta
-          ? [...meta.matchAll(/\/(.*?)\/(\S*)/g)]
-          : undefined;
-        if (Array.isArray(wordMatches)) {
-          wordMatches.forEach((_, index) => {
-            const word = wordMatches[index][1];
-            const wordIdAndOrRange = wordMatches[index][2];
-            words.push(word);
+        // The lines followed by removed lines (0 means lines were removed from
+        // the top)
+        const removedAfterLines = attributes.removedAfter ?? [];
 
-            const [range, id] = wordIdAndOrRange.split('#');
+        // The lines added to and removed from the code, which are given
+        // inline and kept out of the copied code
+        const addedLines = attributes.added ?? [];
+        const removedLines = attributes.removed ?? [];
 
-            if (range) {
-              wordNumbers.push(rangeParser(range));
-            }
-
-            if (id) {
-              wordIdsMap.set(word, id);
-            }
-          });
+        for (const { word, range, id, regex } of parsedMeta.words) {
+          if (regex) {
+            continue;
+          }
+          words.push(word);
+          wordNumbers.push(range);
+          if (id) {
+            wordIdsMap.set(word, id);
+          }
         }
 
         // Parse contextSize
-        const DEFAULT_CONTEXT_SIZE = '3';
-        const contextSize = parseInt(
-          meta.match(/(?:^|\s)contextSize=(.*?)(?:$|\s)/)?.[1] ??
-            DEFAULT_CONTEXT_SIZE
-        );
+        const DEFAULT_CONTEXT_SIZE = 3;
+        const contextSize = attributes.contextSize ?? DEFAULT_CONTEXT_SIZE;
         //console.log('contextSize:', contextSize);
 
+        // Added and removed lines, lines with highlighted word occurrences,
+        // and the lines around removed lines, are kept as context just like
+        // highlighted lines
+        const changedLineNumbers = [
+          ...lineNumbers,
+          ...addedLines,
+          ...removedLines,
+        ];
+        // The parts of the matches of the highlighted patterns
+        // (r/pattern/), which can cross lines, by line number
+        const patternSpans = new Map<number, LineSpan[]>();
+        if (isText(textElement)) {
+          for (const { word, range, id, regex } of parsedMeta.words) {
+            if (regex) {
+              const spans = findPatternSpans(
+                textElement.value,
+                word,
+                range,
+                id
+              );
+              for (const [line, lineSpans] of spans) {
+                patternSpans.set(line, [
+                  ...(patternSpans.get(line) ?? []),
+                  ...lineSpans,
+                ]);
+                if (range.length > 0) {
+                  changedLineNumbers.push(line);
+                }
+              }
+            } else if (range.length > 0) {
+              changedLineNumbers.push(
+                ...findWordLines(textElement.value, word, range)
+              );
+            }
+          }
+        }
+        for (const line of removedAfterLines) {
+          changedLineNumbers.push(line, line + 1);
+        }
+
         // Build contextLineSet
         const contextLineSet = new Set();
-        for (const line of lineNumbers) {
+        for (const line of changedLineNumbers) {
           for (let i = -contextSize; i <= contextSize; i++) {
             const l = line + i;
             contextLineSet.add(l);
@@ -322,33 +541,78 @@ export default function rehypePrettyCode(
         }
 
         // Parse foldThreshold
-        const DEFAULT_FOLD_THRESHOLD = '1';
-        const foldThreshold = parseInt(
-          meta.match(/(?:^|\s)foldThreshold=(.*?)(?:$|\s)/)?.[1] ??
-            DEFAULT_FOLD_THRESHOLD
-        );
+        const DEFAULT_FOLD_THRESHOLD = 1;
+        const foldThreshold =
+          attributes.foldThreshold ?? DEFAULT_FOLD_THRESHOLD;
         //console.log('foldThreshold:', foldThreshold);
 
         if (!isText(textElement)) {
           return;
         }
 
+        // The links of the identifiers, looked up once per code block with
+        // the attributes of the whole meta string, as filterMetaString may
+        // remove some that the lookup needs (e.g. filename)
+        const symbolLinks = new Map();
+        const symbolAttributes = getSymbolLink
+          ? parseMeta(metastring).attributes
+          : {};
+        const getBlockSymbolLink = (name: string) => {
+          if (!symbolLinks.has(name)) {
+            symbolLinks.set(
+              name,
+              getSymbolLink(name, { lang, attributes: symbolAttributes })
+            );
+          }
+          return symbolLinks.get(name);
+        };
+
         const strippedValue = textElement.value.replace(/\n$/, '');
+
+        // The source without the annotation markers, to copy the code from
+        // instead of the text of the lines. It is JSON, as JSX compilers may
+        // join the lines of attribute values.
+        const source = JSON.stringify(
+          strippedValue
+            .split('\n')
+            .map((line) => line.replace(ANNOTATION_REGEX, ''))
+            .join('\n')
+        );
+        const highlightedLines = [
+          ...new Set([...lineNumbers, ...addedLines]),
+        ].sort((a, b) => a - b);
+
+        // The comments and the strings, whose words aren't linked to symbols
+        const proseSpans =
+          getSymbolLink && lang !== 'ansi'
+            ? findCommentAndStringSpans(
+                highlighters.values().next().value,
+                strippedValue,
+                lang
+              )
+            : new Map<number, LineSpan[]>();
+
         const trees: Record<string, Root> = {};
-        for (const [mode, highlighter] of highlighters.entries()) {
-          try {
-            let html;
-            if (lang === 'ansi' && highlighter.ansiToHtml) {
-              html = highlighter.ansiToHtml(strippedValue);
-            } else {
-              html = highlighter.codeToHtml(strippedValue, lang);
+        if (cssVariables) {
+          trees[[...highlighters.keys()].join(' ')] = hastParser.parse(
+            codeToHtmlWithCssVariables(highlighters, strippedValue, lang)
+          );
+        } else {
+          for (const [mode, highlighter] of highlighters.entries()) {
+            try {
+              let html;
+              if (lang === 'ansi' && highlighter.ansiToHtml) {
+                html = highlighter.ansiToHtml(strippedValue);
+              } else {
+                html = highlighter.codeToHtml(strippedValue, lang);
+              }
+              trees[mode] = hastParser.parse(html);
+            } catch (e) {
+              // Fallback to plain text if a language has not been registered
+              trees[mode] = hastParser.parse(
+                highlighter.codeToHtml(strippedValue, 'txt')
+              );
             }
-            trees[mode] = hastParser.parse(html);
-          } catch (e) {
-            // Fallback to plain text if a language has not been registered
-            trees[mode] = hastParser.parse(
-              highlighter.codeToHtml(strippedValue, 'txt')
-            );
           }
         }
 
@@ -424,10 +688,8 @@ export default function rehypePrettyCode(
           });
           //console.log('contextBlocks:', contextBlocks);
 
-          // Build addDots sets
-          const foldLineSet = new Set();
-          const dotsBeforeLine = new Map(); // line -> numFoldLines
-          const dotsAfterLine = new Map(); // line -> numFoldLines
+          // Build the folded ranges
+          let folds: FoldRegion[] = [];
 
           for (let i = 0; i < contextBlocks.length; i++) {
             if (contextBlocks[i].hasFoldableBefore) {
@@ -436,10 +698,7 @@ export default function rehypePrettyCode(
               const numFoldLines = foldEnd - foldStart + 1;
 
               if (numFoldLines > foldThreshold) {
-                for (let i = foldStart; i <= foldEnd; i++) {
-                  foldLineSet.add(i);
-                }
-                dotsBeforeLine.set(contextBlocks[i].startLine, numFoldLines);
+                folds.push({ start: foldStart, end: foldEnd });
               }
             }
 
@@ -453,103 +712,156 @@ export default function rehypePrettyCode(
               const numFoldLines = foldEnd - foldStart + 1;
 
               if (numFoldLines > foldThreshold) {
-                for (let i = foldStart; i <= foldEnd; i++) {
-                  foldLineSet.add(i);
-                }
-                dotsAfterLine.set(contextBlocks[i].endLine, numFoldLines);
+                folds.push({ start: foldStart, end: foldEnd });
               }
             }
           }
 
-          //console.log('dotsBeforeLine:', dotsBeforeLine);
-          //console.log('dotsAfterLine:', dotsAfterLine);
+          folds = combineFolds(
+            folds,
+            attributes.fold ?? [],
+            lineSize,
+            foldThreshold
+          );
+
+          //console.log('folds:', folds);
+
+          // Mark the folded lines, and put a toggle before each folded range
+          const foldByLine = new Map();
+          for (const fold of folds) {
+            for (let i = fold.start; i <= fold.end; i++) {
+              foldByLine.set(i, fold);
+            }
+          }
 
-          // Add classNames to style the lines
           lineCounter = 0;
           visit(tree, 'element', (element) => {
-            if (
-              Array.isArray(element.properties?.className) &&
-              element.properties?.className?.[0] === 'line'
-            ) {
-              lineCounter++;
+            if (element.tagName !== 'code') {
+              return;
+            }
 
-              if (foldLineSet.has(lineCounter)) {
-                //console.log('add foldable to line', lineCounter);
-                element.properties.className.push('foldable');
-              }
+            if (folds.length > 0) {
+              element.properties['data-folds'] = folds.length;
+            }
 
-              if (dotsBeforeLine.has(lineCounter)) {
-                //console.log(
-                //  'add add-dots-before to',
-                //  lineCounter,
-                //  dotsBeforeLine.get(lineCounter)
-                //);
-                element.properties.className.push('add-dots-before');
-                element.properties.style =
-                  '--num-lines-before: ' +
-                  dotsBeforeLine.get(lineCounter) +
-                  ';';
-              }
+            element.properties['data-code'] = source;
+            if (highlightedLines.length > 0) {
+              element.properties['data-highlighted-lines'] =
+                toRanges(highlightedLines);
+            }
+            if (removedLines.length > 0) {
+              element.properties['data-removed-lines'] = toRanges(
+                [...removedLines].sort((a, b) => a - b)
+              );
+            }
 
-              if (dotsAfterLine.has(lineCounter)) {
-                //console.log(
-                //  'add add-dots-after to',
-                //  lineCounter,
-                //  dotsAfterLine.get(lineCounter)
-                //);
-                element.properties.className.push('add-dots-after');
-                element.properties.style =
-                  '--num-lines-after: ' + dotsAfterLine.get(lineCounter) + ';';
+            const children: ElementContent[] = [];
+            for (const child of element.children) {
+              if (
+                isElement(child) &&
+                Array.isArray(child.properties?.className) &&
+                child.properties?.className?.[0] === 'line'
+              ) {
+                lineCounter++;
+
+                const fold = foldByLine.get(lineCounter);
+                if (fold) {
+                  const foldId = `${fold.start}-${fold.end}`;
+                  if (lineCounter === fold.start) {
+                    children.push(createFoldToggle(foldId, fold));
+                  }
+                  child.properties.className.push('foldable');
+                  child.properties['data-fold'] = foldId;
+                }
               }
+              children.push(child);
             }
+            element.children = children;
           });
 
           lineCounter = 0;
 
+          // The number of the next line in the gutter. showLineNumbers{N}
+          // starts counting at N, and removed lines are not counted.
+          let sourceLineNumber =
+            typeof attributes.showLineNumbers === 'number'
+              ? attributes.showLineNumbers
+              : 1;
+
           visit(tree, 'element', (element) => {
             if (
               element.tagName === 'code' &&
-              /srebmuNeniLwohs(?!(.*)(\/))/.test(reverseString(meta))
+              attributes.showLineNumbers !== undefined
             ) {
               if (element.properties) {
                 element.properties['data-line-numbers'] = '';
               }
-
-              const lineNumbersStartAtMatch = reverseString(meta).match(
-                /(?:\}(\d+){)?srebmuNeniLwohs(?!(.*)(\/))/
-              );
-              const startNumberString = lineNumbersStartAtMatch?.[1];
-              if (startNumberString) {
-                const startAt = startNumberString
-                  ? Number(reverseString(startNumberString)) - 1
-                  : 0;
-                lineNumbersMaxDigits = startAt;
-                if (element.properties) {
-                  element.properties.style = `counter-set: line ${startAt};`;
-                }
-              }
             }
 
             if (
               Array.isArray(element.properties?.className) &&
               element.properties?.className?.[0] === 'line'
             ) {
+              annotateLine(element);
               onVisitLine?.(element as VisitableElement);
 
+              lineCounter++;
+
               if (
                 lineNumbers.length !== 0 &&
-                lineNumbers.includes(++lineCounter)
+                lineNumbers.includes(lineCounter)
               ) {
                 onVisitHighlightedLine?.(element as VisitableElement);
               }
 
+              if (addedLines.includes(lineCounter)) {
+                element.properties['data-added-line'] = '';
+                onVisitAddedLine?.(element as VisitableElement);
+              }
+              if (removedLines.includes(lineCounter)) {
+                element.properties['data-removed-line'] = '';
+                onVisitRemovedLine?.(element as VisitableElement);
+              }
+
+              // The gutter shows the line number from the markup, as a CSS
+              // counter would not count the folded lines, which are hidden
+              if (
+                attributes.showLineNumbers !== undefined &&
+                !removedLines.includes(lineCounter)
+              ) {
+                element.properties['data-line-number'] = sourceLineNumber;
+                lineNumbersMaxDigits = Math.max(
+                  lineNumbersMaxDigits,
+                  sourceLineNumber
+                );
+                sourceLineNumber++;
+              }
+
+              if (removedAfterLines.includes(lineCounter)) {
+                element.properties['data-removed-after'] = '';
+              }
+              if (lineCounter == 1 && removedAfterLines.includes(0)) {
+                element.properties['data-removed-before'] = '';
+              }
+
+              highlightLineSpans(
+                element,
+                patternSpans.get(lineCounter) ?? [],
+                onVisitHighlightedWord
+              );
               wordHighlighter(
                 element,
                 words,
                 wordOptions,
                 onVisitHighlightedWord
               );
-              lineNumbersMaxDigits++;
+              if (getSymbolLink) {
+                linkSymbols(
+                  element,
+                  getBlockSymbolLink,
+                  proseSpans.get(lineCounter)
+                );
+              }
             }
           });
         });
@@ -562,6 +874,10 @@ export default function rehypePrettyCode(
           keepBackground,
           lineNumbersMaxDigits,
         });
+
+        if (blockCacheKey) {
+          diskCache.set(blockCacheKey, element);
+        }
       }
     });
   };
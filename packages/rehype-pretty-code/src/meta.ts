@@ -0,0 +1,261 @@
+import rangeParser from 'parse-numeric-range';
+import type { FoldRegion, MetaError, MetaWord, ParsedMeta } from '../meta';
+
+type MetaValueType = 'string' | 'integer' | 'flag' | 'range' | 'size' | 'folds';
+
+/**
+ * The keys allowed in a code block meta string, and the type of their values.
+ * A flag can carry a number in braces, e.g. showLineNumbers{5}.
+ */
+export const META_SCHEMA: Record<string, MetaValueType> = {
+  title: 'string',
+  caption: 'string',
+  filename: 'string',
+  contextSize: 'integer',
+  foldThreshold: 'integer',
+  showLineNumbers: 'flag',
+  removedAfter: 'range',
+  added: 'range',
+  removed: 'range',
+  fold: 'folds',
+  // Used by the scripts that export and import the book's listings
+  addCargoDep: 'string',
+  genImage: 'flag',
+  genLargeImage: 'flag',
+  checkCompile: 'flag',
+  expectStdout: 'string',
+  expectStdoutFile: 'string',
+  expectImageSize: 'size',
+};
+
+/**
+ * An annotation marker in a comment at the end of a line of code, e.g.
+ * `// (1)`, with the annotation number in the first group.
+ */
+export const ANNOTATION_REGEX = /[ \t]*\/\/[ \t]*\((\d+)\)[ \t]*$/;
+
+const RANGE_REGEX = /^\s*\d+(\s*-\s*\d+)?\s*$/;
+
+function parseRange(
+  value: string,
+  offset: number,
+  errors: MetaError[]
+): number[] {
+  if (value.trim() === '') {
+    return [];
+  }
+
+  if (!value.split(',').every((part) => RANGE_REGEX.test(part))) {
+    errors.push({ message: `Malformed range "${value}"`, offset });
+    return [];
+  }
+
+  return rangeParser(value);
+}
+
+// Whether the character at index is escaped by an odd number of backslashes
+function isEscaped(value: string, index: number) {
+  let backslashes = 0;
+  while (value[index - 1 - backslashes] === '\\') {
+    backslashes++;
+  }
+  return backslashes % 2 === 1;
+}
+
+const FOLD_REGEX = /^\s*(\d+)\s*-\s*(\d+)\s*(?::\s*"([^"]*)")?\s*$/;
+
+/**
+ * Parse fold regions, e.g. 20-85:"operator impls",90-95, which must not
+ * overlap.
+ */
+function parseFolds(
+  value: string,
+  offset: number,
+  errors: MetaError[]
+): FoldRegion[] {
+  const folds: FoldRegion[] = [];
+  // Split at the commas that are not in a label
+  for (const part of value.match(/(?:"[^"]*"|[^,])+/g) ?? []) {
+    const m = part.match(FOLD_REGEX);
+    if (!m || Number(m[1]) > Number(m[2])) {
+      errors.push({ message: `Malformed fold "${part.trim()}"`, offset });
+      continue;
+    }
+    const fold: FoldRegion = { start: Number(m[1]), end: Number(m[2]) };
+    if (m[3]) {
+      fold.label = m[3];
+    }
+    const other = folds.find(
+      ({ start, end }) => fold.start <= end && start <= fold.end
+    );
+    if (other) {
+      errors.push({
+        message: `Fold ${fold.start}-${fold.end} overlaps ${other.start}-${other.end}`,
+        offset,
+      });
+      continue;
+    }
+    folds.push(fold);
+  }
+  return folds.sort((a, b) => a.start - b.start);
+}
+
+function findKey(key: string) {
+  return Object.keys(META_SCHEMA).find(
+    (schemaKey) => schemaKey.toLowerCase() === key.toLowerCase()
+  );
+}
+
+/**
+ * Tokenize and validate a code block meta string, e.g.
+ * title="app.js" {1,3-5} /word/1-2#id r/\d+\.0/#id showLineNumbers{5}
+ * contextSize=2 fold={20-85:"operator impls"}
+ */
+export function parseMeta(meta: string): ParsedMeta {
+  const parsed: ParsedMeta = {
+    attributes: {},
+    lineNumbers: [],
+    words: [],
+    errors: [],
+  };
+  const { attributes, errors } = parsed;
+
+  let i = 0;
+  while (i < meta.length) {
+    if (/\s/.test(meta[i])) {
+      i++;
+      continue;
+    }
+
+    const rest = meta.slice(i);
+    const offset = i;
+
+    // Highlighted lines: {1,3-5}
+    if (meta[i] === '{') {
+      const end = meta.indexOf('}', i);
+      if (end === -1) {
+        errors.push({ message: 'Unclosed "{"', offset });
+        break;
+      }
+      parsed.lineNumbers.push(
+        ...parseRange(meta.slice(i + 1, end), offset, errors)
+      );
+      i = end + 1;
+      continue;
+    }
+
+    // Highlighted words: /word/1-2#id, or with a regular expression, in
+    // which "/" is escaped as "\/": r/Arc::new\([^)]*\)/1-2#id
+    const isRegex = rest.startsWith('r/');
+    if (meta[i] === '/' || isRegex) {
+      const start = isRegex ? i + 2 : i + 1;
+      let end = meta.indexOf('/', start);
+      while (isRegex && end !== -1 && isEscaped(meta, end)) {
+        end = meta.indexOf('/', end + 1);
+      }
+      if (end === -1) {
+        errors.push({ message: 'Unclosed "/"', offset });
+        break;
+      }
+      const suffix = meta.slice(end + 1).match(/^\S*/)?.[0] ?? '';
+      const [range, id] = suffix.split('#');
+      const word: MetaWord = {
+        word: meta.slice(start, end),
+        range: parseRange(range, offset, errors),
+      };
+      i = end + 1 + suffix.length;
+      if (isRegex) {
+        try {
+          new RegExp(word.word);
+        } catch (e) {
+          errors.push({ message: `Malformed regex "${word.word}"`, offset });
+          continue;
+        }
+        word.regex = true;
+      }
+      if (id) {
+        word.id = id;
+      }
+      parsed.words.push(word);
+      continue;
+    }
+
+    // key="value", key={value}, key=value, flag or flag{N}
+    const m = rest.match(
+      /^([A-Za-z_][\w-]*)(?:="([^"]*)"|=\{([^}]*)\}|=(\S*)|\{([^}]*)\})?/
+    );
+    if (!m) {
+      const token = rest.match(/^\S+/)?.[0];
+      errors.push({ message: `Unexpected "${token}"`, offset });
+      i += token?.length ?? 1;
+      continue;
+    }
+    i += m[0].length;
+
+    const [, key, quotedValue, bracedValue, unquotedValue, braceValue] = m;
+    const value = quotedValue ?? bracedValue ?? unquotedValue;
+    const type = META_SCHEMA[key];
+
+    if (!type) {
+      const knownKey = findKey(key);
+      errors.push({
+        message:
+          `Unknown key "${key}"` +
+          (knownKey ? `, did you mean "${knownKey}"?` : ''),
+        offset,
+      });
+      continue;
+    }
+
+    if (type === 'flag') {
+      if (value !== undefined) {
+        errors.push({ message: `"${key}" does not take a value`, offset });
+      } else if (braceValue !== undefined) {
+        if (/^\d+$/.test(braceValue)) {
+          attributes[key] = Number(braceValue);
+        } else {
+          errors.push({
+            message: `Malformed number "${braceValue}" for "${key}"`,
+            offset,
+          });
+        }
+      } else {
+        attributes[key] = true;
+      }
+      continue;
+    }
+
+    if (value === undefined) {
+      errors.push({ message: `"${key}" needs a value`, offset });
+      continue;
+    }
+
+    if (type === 'integer') {
+      if (/^\d+$/.test(value)) {
+        attributes[key] = Number(value);
+      } else {
+        errors.push({
+          message: `Malformed number "${value}" for "${key}"`,
+          offset,
+        });
+      }
+    } else if (type === 'size') {
+      if (/^\d+x\d+$/.test(value)) {
+        attributes[key] = value;
+      } else {
+        errors.push({
+          message: `Malformed size "${value}" for "${key}", expected WxH`,
+          offset,
+        });
+      }
+    } else if (type === 'range') {
+      attributes[key] = parseRange(value, offset, errors);
+    } else if (type === 'folds') {
+      attributes[key] = parseFolds(value, offset, errors);
+    } else {
+      attributes[key] = value;
+    }
+  }
+
+  return parsed;
+}
@@ -0,0 +1,127 @@
+import type { Element, ElementContent } from 'hast';
+import { toString } from 'hast-util-to-string';
+import type { Highlighter } from 'shiki';
+import type { SymbolLink } from '../';
+import { isElement, isText } from './utils';
+import type { LineSpan } from './word-highlighter/patternHighlighter';
+
+const IDENTIFIER_REGEX = /\b[A-Za-z_]\w*\b/g;
+
+function createSymbolLink(name: string, link: SymbolLink): Element {
+  return {
+    type: 'element',
+    tagName: 'a',
+    properties: {
+      href: link.href,
+      'data-symbol': name,
+      'data-symbol-title': link.title,
+      'data-symbol-preview': link.preview,
+    },
+    children: [{ type: 'text', value: name }],
+  };
+}
+
+/**
+ * Find the comments and the strings in the code, as the columns of them on
+ * each line by line number, from the scopes of the tokens. The code is left
+ * as it is if the language has not been registered.
+ */
+export function findCommentAndStringSpans(
+  highlighter: Highlighter,
+  code: string,
+  lang: string
+): Map<number, LineSpan[]> {
+  const spans = new Map<number, LineSpan[]>();
+  let lines;
+  try {
+    lines = highlighter.codeToThemedTokens(code, lang, undefined, {
+      includeExplanation: true,
+    });
+  } catch (e) {
+    return spans;
+  }
+
+  lines.forEach((tokens, index) => {
+    const lineSpans: LineSpan[] = [];
+    let column = 0;
+    for (const token of tokens) {
+      for (const { content, scopes } of token.explanation ?? []) {
+        const isProse = scopes.some(
+          ({ scopeName }) =>
+            scopeName.startsWith('comment') || scopeName.startsWith('string')
+        );
+        if (isProse) {
+          lineSpans.push({ start: column, end: column + content.length });
+        }
+        column += content.length;
+      }
+    }
+    if (lineSpans.length > 0) {
+      spans.set(index + 1, lineSpans);
+    }
+  });
+
+  return spans;
+}
+
+/**
+ * Wraps the identifiers in the text of a line that getSymbolLink returns a
+ * link for in <a data-symbol>, with the title and the preview of the
+ * definition for the page to show on hover. The identifiers are split out of
+ * the text of the tokens, so that the links keep the colors of the tokens.
+ * Identifiers in the comments and the strings of the line (skippedSpans) are
+ * left as they are, as they are words rather than uses of the symbols.
+ */
+export function linkSymbols(
+  element: Element,
+  getSymbolLink: (name: string) => SymbolLink | null | undefined,
+  skippedSpans: LineSpan[] = []
+) {
+  let column = 0;
+  const isSkipped = (start: number, end: number) =>
+    skippedSpans.some((span) => start < span.end && span.start < end);
+
+  const linkChildren = (parent: Element) => {
+    const children: ElementContent[] = [];
+    for (const child of parent.children) {
+      if (!isText(child)) {
+        if (isElement(child) && !['a', 'button'].includes(child.tagName)) {
+          linkChildren(child);
+        } else {
+          column += toString(child).length;
+        }
+        children.push(child);
+        continue;
+      }
+
+      let start = 0;
+      for (const match of child.value.matchAll(IDENTIFIER_REGEX)) {
+        const index = match.index as number;
+        if (isSkipped(column + index, column + index + match[0].length)) {
+          continue;
+        }
+        const link = getSymbolLink(match[0]);
+        if (!link) {
+          continue;
+        }
+        if (index > start) {
+          children.push({
+            type: 'text',
+            value: child.value.slice(start, index),
+          });
+        }
+        children.push(createSymbolLink(match[0], link));
+        start = index + match[0].length;
+      }
+      if (start === 0) {
+        children.push(child);
+      } else if (start < child.value.length) {
+        children.push({ type: 'text', value: child.value.slice(start) });
+      }
+      column += child.value.length;
+    }
+    parent.children = children;
+  };
+
+  linkChildren(element);
+}
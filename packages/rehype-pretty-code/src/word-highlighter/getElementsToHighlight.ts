@@ -10,8 +10,7 @@ import { hasOwnProperty } from '../utils';
 export function getElementsToHighlight(
   element: Element,
   word: string,
-  startIndex = 0,
-  ignoreWord = false
+  startIndex = 0
 ): Array<{ element: Element; index: number }> {
   const toWrap = [];
   let wordSoFar = '';
@@ -122,7 +121,6 @@ export function getElementsToHighlight(
               rest,
               nextElementContinues,
               index: i,
-              ignoreWord,
             });
 
             wordSoFar += overlap;
@@ -0,0 +1,154 @@
+import type { Element, ElementContent } from 'hast';
+import { toString } from 'hast-util-to-string';
+import type { VisitableElement } from '../..';
+import { isElement, isText } from '../utils';
+
+/** The part of a pattern match on one line, from column start to end */
+export interface LineSpan {
+  start: number;
+  end: number;
+  id?: string;
+}
+
+/**
+ * Find the matches of a regular expression in the code, as the parts of them
+ * on each line by line number, so that a match can cross lines. The matches
+ * are counted through the whole code, and only those in `range` are kept,
+ * unless it is empty. `^` and `$` match at the start and end of every line.
+ */
+export function findPatternSpans(
+  code: string,
+  pattern: string,
+  range: number[],
+  id?: string
+): Map<number, LineSpan[]> {
+  const spans = new Map<number, LineSpan[]>();
+  const lines = code.split('\n');
+  let counter = 0;
+
+  for (const match of code.matchAll(new RegExp(pattern, 'gm'))) {
+    if (match[0] === '') {
+      continue;
+    }
+    counter++;
+    if (range.length > 0 && !range.includes(counter)) {
+      continue;
+    }
+
+    const matchStart = match.index as number;
+    const matchEnd = matchStart + match[0].length;
+    let lineStart = 0;
+    lines.forEach((line, index) => {
+      const start = Math.max(matchStart, lineStart) - lineStart;
+      const end = Math.min(matchEnd, lineStart + line.length) - lineStart;
+      if (start < end) {
+        const lineSpans = spans.get(index + 1) ?? [];
+        lineSpans.push({ start, end, id });
+        spans.set(index + 1, lineSpans);
+      }
+      lineStart += line.length + 1;
+    });
+  }
+
+  return spans;
+}
+
+/**
+ * Makes a child of the line start at the column, by splitting the token (or
+ * the text) that the column falls in. Returns the index of that child, or of
+ * the first child after the column if the token has nested elements and
+ * can't be split.
+ */
+function splitAt(line: Element, column: number): number {
+  let offset = 0;
+  for (let i = 0; i < line.children.length; i++) {
+    if (offset >= column) {
+      return i;
+    }
+
+    const child = line.children[i];
+    const content = isText(child) ? child.value : toString(child);
+    const split = column - offset;
+    offset += content.length;
+    if (offset <= column) {
+      continue;
+    }
+
+    let left: ElementContent;
+    let right: ElementContent;
+    if (isText(child)) {
+      left = { type: 'text', value: content.slice(0, split) };
+      right = { type: 'text', value: content.slice(split) };
+    } else if (
+      isElement(child) &&
+      child.children.length === 1 &&
+      isText(child.children[0])
+    ) {
+      left = {
+        ...child,
+        properties: { ...child.properties },
+        children: [{ type: 'text', value: content.slice(0, split) }],
+      };
+      right = {
+        ...child,
+        properties: { ...child.properties },
+        children: [{ type: 'text', value: content.slice(split) }],
+      };
+    } else {
+      return i + 1;
+    }
+    line.children.splice(i, 1, left, right);
+    return i + 1;
+  }
+  return line.children.length;
+}
+
+/**
+ * Highlights the parts of pattern matches on a line. The tokens at the ends
+ * of a part are split at its columns, and a part that is one token is passed
+ * to onVisitHighlightedWord as it is. Otherwise its tokens are wrapped with
+ * <span data-rehype-pretty-code-wrapper/>, like a word that crosses tokens.
+ * Parts that overlap an earlier one are left out.
+ */
+export function highlightLineSpans(
+  line: Element,
+  spans: LineSpan[],
+  onVisitHighlightedWord?: (
+    element: VisitableElement,
+    id: string | undefined
+  ) => void
+) {
+  const sorted = [...spans].sort((a, b) => a.start - b.start);
+  let lastEnd = 0;
+  const highlighted = sorted.filter((span) => {
+    if (span.start < lastEnd) {
+      return false;
+    }
+    lastEnd = span.end;
+    return true;
+  });
+
+  for (const { start, end, id } of highlighted) {
+    const first = splitAt(line, start);
+    const last = splitAt(line, end);
+    const children = line.children.slice(first, last);
+    if (children.length === 0) {
+      continue;
+    }
+
+    const [child] = children;
+    if (children.length === 1 && isElement(child)) {
+      onVisitHighlightedWord?.(child as VisitableElement, id);
+      continue;
+    }
+
+    const wrapper: Element = {
+      type: 'element',
+      tagName: 'span',
+      properties: { 'data-rehype-pretty-code-wrapper': true },
+      children,
+    };
+    line.children.splice(first, children.length, wrapper);
+    onVisitHighlightedWord?.(wrapper as VisitableElement, id);
+  }
+}
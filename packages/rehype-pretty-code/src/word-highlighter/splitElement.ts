@@ -10,7 +10,6 @@ interface SplitElementProps {
   rest: string[];
   nextElementContinues: boolean;
   index: number;
-  ignoreWord: boolean;
 }
 
 export function splitElement({
@@ -22,12 +21,10 @@ export function splitElement({
   rest,
   nextElementContinues,
   index,
-  ignoreWord,
 }: SplitElementProps) {
   if (
-    (isElement(elementToWrap) &&
-      elementToWrap.children?.[0]?.type !== 'text') ||
-    ignoreWord
+    isElement(elementToWrap) &&
+    elementToWrap.children?.[0]?.type !== 'text'
   ) {
     return [elementToWrap, index] as const;
   }
@@ -68,3 +68,29 @@ export function findOverlap(a: string, b: string): string {
 export function reverseString(s: string) {
   return s.split('').reverse().join('');
 }
+
+/**
+ * Find the lines of the word occurrences in `range`, counting the occurrences
+ * through the whole code the same way the word highlighter does.
+ */
+export function findWordLines(
+  code: string,
+  word: string,
+  range: number[]
+): number[] {
+  const lines: number[] = [];
+  let counter = 0;
+
+  code.split('\n').forEach((line, index) => {
+    let start = word ? line.indexOf(word) : -1;
+    while (start !== -1) {
+      counter++;
+      if (range.includes(counter)) {
+        lines.push(index + 1);
+      }
+      start = line.indexOf(word, start + word.length);
+    }
+  });
+
+  return lines;
+}
@@ -45,8 +45,7 @@ export function wordHighlighter(
         const elementsToWrap = getElementsToHighlight(
           element,
           word,
-          startIndex,
-          ignoreWord
+          startIndex
         );
 
         // maybe throw / notify due to failure here
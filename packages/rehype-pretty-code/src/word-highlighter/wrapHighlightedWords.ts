@@ -17,11 +17,13 @@ export function wrapHighlightedWords(
     return;
   }
 
-  const [{ element }] = elementsToWrap;
-
+  // An occurrence out of the range is split out of its tokens like the
+  // others, so that the next occurrences in the same tokens are counted too
   if (ignoreWord) {
-    if (element.properties) {
-      element.properties['rehype-pretty-code-visited'] = '';
+    for (const { element } of elementsToWrap) {
+      if (element.properties) {
+        element.properties['rehype-pretty-code-visited'] = '';
+      }
     }
     return;
   }
@@ -1,10 +1,11 @@
 import { expect, describe, it } from 'vitest';
 import rehypePrettyCode from '../src';
-import { lstatSync, readFileSync, readdirSync } from 'fs';
+import { lstatSync, mkdtempSync, readFileSync, readdirSync, rmSync } from 'fs';
 import { toHtml } from 'hast-util-to-html';
 import { toMatchFile } from 'jest-file-snapshot';
 import jest from 'jest-mock';
 import { toHast } from 'mdast-util-to-hast';
+import { tmpdir } from 'os';
 import { dirname, join, parse } from 'path';
 import prettier from 'prettier';
 import { remark } from 'remark';
@@ -53,6 +54,22 @@ const isMultipleThemeTest = (fixtureName) => {
   return fixtureName.toLowerCase().includes('multipletheme');
 };
 
+// The definitions that the symbolLinks fixtures link to
+const fixtureSymbols = {
+  rust: {
+    Ray: 'pub struct Ray {\n    orig: Point3,\n    dir: Vec3,\n}',
+    HitRecord: 'pub struct HitRecord {\n    pub t: f64,\n}',
+  },
+};
+
+const getFixtureSymbolLink = (name, { lang, attributes }) => {
+  const preview = fixtureSymbols[lang]?.[name];
+  if (!preview || [attributes.title, attributes.filename].includes(name)) {
+    return null;
+  }
+  return { href: `/symbols#${name}`, title: `struct ${name}`, preview };
+};
+
 // To add a test, create a markdown file in the fixtures folder
 const runFixture = async (fixture, fixtureName, getHighlighter) => {
   const testName = parse(fixtureName).name;
@@ -63,11 +80,18 @@ const runFixture = async (fixture, fixtureName, getHighlighter) => {
 
   const html = await getHTML(code, {
     keepBackground: resultHTMLName.includes('keepBackground'),
+    cssVariables: resultHTMLName.includes('cssVariables'),
     filterMetaString: (string) => string?.replace(/filename=".*"/, ''),
     theme: getTheme(isMultipleThemeTest(testName)),
     onVisitHighlightedLine(node) {
       node.properties.className = ['highlighted'];
     },
+    onVisitAddedLine(node) {
+      node.properties.className.push('added');
+    },
+    onVisitRemovedLine(node) {
+      node.properties.className.push('removed');
+    },
     onVisitHighlightedWord(node, id) {
       node.properties.className = ['word'];
 
@@ -88,6 +112,9 @@ const runFixture = async (fixture, fixtureName, getHighlighter) => {
     onVisitLine(node) {
       node;
     },
+    getSymbolLink: resultHTMLName.includes('symbolLinks')
+      ? getFixtureSymbolLink
+      : undefined,
     getHighlighter,
   });
 
@@ -153,6 +180,63 @@ it("highlighter caches don't overwrite each other", async () => {
   expect(html1).not.toBe(html2);
 });
 
+it('css variables output is smaller than one tree per theme', async () => {
+  const settings = { theme: getTheme(true) };
+  const countTrees = (html) => html.match(/<pre /g).length;
+
+  const code = readFileSync(
+    join(fixturesFolder, 'cssVariablesMultipleTheme.md'),
+    'utf8'
+  );
+  const treesHTML = await getHTML(code, settings);
+  const cssVariablesHTML = await getHTML(code, {
+    ...settings,
+    cssVariables: true,
+  });
+  expect(countTrees(cssVariablesHTML)).toBe(countTrees(treesHTML) / 2);
+  expect(cssVariablesHTML.length).toBeLessThan(treesHTML.length);
+
+  // Every fixture, highlighted with two themes both ways
+  let treesSize = 0;
+  let cssVariablesSize = 0;
+  for (const fixtureName of readdirSync(fixturesFolder)) {
+    const code = readFileSync(join(fixturesFolder, fixtureName), 'utf8');
+    treesSize += (await getHTML(code, settings)).length;
+    cssVariablesSize += (
+      await getHTML(code, { ...settings, cssVariables: true })
+    ).length;
+  }
+
+  expect(cssVariablesSize).toBeLessThan(treesSize * 0.75);
+});
+
+it('reuses highlighted code blocks from the disk cache', async () => {
+  const cacheDir = mkdtempSync(join(tmpdir(), 'rehype-pretty-code-'));
+  const code = readFileSync(join(fixturesFolder, 'removedAfter.md'), 'utf8');
+
+  const codeToHtml = jest.fn();
+  const getHighlighter = async (options) => {
+    const highlighter = await shikiHighlighter(options);
+    codeToHtml.mockImplementation(highlighter.codeToHtml);
+    return { ...highlighter, codeToHtml };
+  };
+  const settings = { theme: 'github-dark', cacheDir, getHighlighter };
+
+  try {
+    const html = await getHTML(code, settings);
+    const numCalls = codeToHtml.mock.calls.length;
+    expect(numCalls).toBeGreaterThan(0);
+
+    expect(await getHTML(code, settings)).toBe(html);
+    expect(codeToHtml).toHaveBeenCalledTimes(numCalls);
+
+    await getHTML(code, { ...settings, cacheKey: 'changed' });
+    expect(codeToHtml).toHaveBeenCalledTimes(numCalls * 2);
+  } finally {
+    rmSync(cacheDir, { recursive: true });
+  }
+});
+
 const defaultStyle = `
 <style>
   html {
@@ -174,12 +258,8 @@ const defaultStyle = `
   .highlighted, .word {
     background-color: rgba(255, 255, 255, 0.25);
   }
-  code[data-line-numbers] {
-    counter-reset: line;
-  }
   code[data-line-numbers]>.line:before {
-    counter-increment: line;
-    content: counter(line);
+    content: attr(data-line-number);
     display: inline-block;
     width: 1rem;
     margin-right: 2rem;
@@ -0,0 +1,99 @@
+import { expect, describe, it } from 'vitest';
+import { parseMeta } from '../src/meta';
+
+const getErrors = (meta) =>
+  parseMeta(meta).errors.map(({ message }) => message);
+
+describe('parseMeta', () => {
+  it('parses highlighted lines, words and attributes', () => {
+    expect(
+      parseMeta(
+        'filename="main.rs | Title" {1,3-5} /word/1-2#a r/\\d+/#b showLineNumbers{5} contextSize=2 genImage expectImageSize=400x225'
+      )
+    ).toEqual({
+      attributes: {
+        filename: 'main.rs | Title',
+        showLineNumbers: 5,
+        contextSize: 2,
+        genImage: true,
+        expectImageSize: '400x225',
+      },
+      lineNumbers: [1, 3, 4, 5],
+      words: [
+        { word: 'word', range: [1, 2], id: 'a' },
+        { word: '\\d+', range: [], id: 'b', regex: true },
+      ],
+      errors: [],
+    });
+  });
+
+  it('parses ranges and fold regions with labels', () => {
+    const { attributes, errors } = parseMeta(
+      'added="3-4" removed="2" removedAfter="0,7" fold={90-95,20-85:"operator impls, and more"}'
+    );
+    expect(errors).toEqual([]);
+    expect(attributes).toEqual({
+      added: [3, 4],
+      removed: [2],
+      removedAfter: [0, 7],
+      fold: [
+        { start: 20, end: 85, label: 'operator impls, and more' },
+        { start: 90, end: 95 },
+      ],
+    });
+  });
+
+  it('reports unknown keys, with the key they may be a typo of', () => {
+    expect(getErrors('showlinenumbers foo=1')).toEqual([
+      'Unknown key "showlinenumbers", did you mean "showLineNumbers"?',
+      'Unknown key "foo"',
+    ]);
+  });
+
+  it('reports malformed values', () => {
+    expect(
+      getErrors(
+        '{1-x} /word/2-#a added="3,a" contextSize=two expectImageSize=400 showLineNumbers{x} genImage=1 title'
+      )
+    ).toEqual([
+      'Malformed range "1-x"',
+      'Malformed range "2-"',
+      'Malformed range "3,a"',
+      'Malformed number "two" for "contextSize"',
+      'Malformed size "400" for "expectImageSize", expected WxH',
+      'Malformed number "x" for "showLineNumbers"',
+      '"genImage" does not take a value',
+      '"title" needs a value',
+    ]);
+  });
+
+  it('reports malformed and overlapping fold regions', () => {
+    const { attributes, errors } = parseMeta('fold={5-2,10-20,15-30,40:"x"}');
+    expect(errors.map(({ message }) => message)).toEqual([
+      'Malformed fold "5-2"',
+      'Fold 15-30 overlaps 10-20',
+      'Malformed fold "40:"x""',
+    ]);
+    expect(attributes.fold).toEqual([{ start: 10, end: 20 }]);
+  });
+
+  it('reports unclosed and malformed highlights', () => {
+    expect(getErrors('{1,2')).toEqual(['Unclosed "{"']);
+    expect(getErrors('/word')).toEqual(['Unclosed "/"']);
+    expect(getErrors('r/(a/ genImage')).toEqual(['Malformed regex "(a"']);
+    expect(getErrors('genImage @')).toEqual(['Unexpected "@"']);
+  });
+
+  it('gives the offset of each error in the meta string', () => {
+    expect(parseMeta('title="a" foo {x}').errors).toEqual([
+      { message: 'Unknown key "foo"', offset: 10 },
+      { message: 'Malformed range "x"', offset: 14 },
+    ]);
+  });
+
+  it('keeps escaped slashes in patterns', () => {
+    expect(parseMeta('r/a\\/b/2').words).toEqual([
+      { word: 'a\\/b', range: [2], regex: true },
+    ]);
+  });
+});
@@ -0,0 +1,109 @@
+import { expect, describe, it, beforeAll } from 'vitest';
+import { toHtml } from 'hast-util-to-html';
+import { getHighlighter } from 'shiki';
+import { findCommentAndStringSpans, linkSymbols } from '../src/symbol-links';
+
+const link = (name) =>
+  ['Ray', 'Vec3'].includes(name)
+    ? { href: `/symbols#${name}`, title: `struct ${name}`, preview: '' }
+    : null;
+
+const getLinkedNames = (element) =>
+  [...toHtml(element).matchAll(/data-symbol="(\w+)"/g)].map((m) => m[1]);
+
+const line = (...values) => ({
+  type: 'element',
+  tagName: 'span',
+  properties: {},
+  children: values.map((value) => ({
+    type: 'element',
+    tagName: 'span',
+    properties: {},
+    children: [{ type: 'text', value }],
+  })),
+});
+
+describe('findCommentAndStringSpans', () => {
+  let highlighter;
+  beforeAll(async () => {
+    highlighter = await getHighlighter({
+      theme: 'github-dark',
+      langs: ['rust', 'cpp'],
+    });
+  });
+
+  it('finds the columns of comments and strings by line', () => {
+    const code = [
+      'let r = Ray::new(); // A Ray',
+      'let s = "Ray";',
+      'let v = Vec3::new();',
+    ].join('\n');
+    const spans = findCommentAndStringSpans(highlighter, code, 'rust');
+    expect(spans.get(1)).toEqual([{ start: 19, end: 28 }]);
+    expect(spans.get(2)).toEqual([
+      { start: 8, end: 9 },
+      { start: 9, end: 12 },
+      { start: 12, end: 13 },
+    ]);
+    expect(spans.has(3)).toBe(false);
+  });
+
+  it('finds block comments over several lines', () => {
+    const code = ['/* Ray', '   Vec3 */', 'Ray r;'].join('\n');
+    const spans = findCommentAndStringSpans(highlighter, code, 'cpp');
+    expect(spans.get(1)).toEqual(
+      expect.arrayContaining([expect.objectContaining({ start: 0 })])
+    );
+    expect(spans.get(2).at(-1).end).toBe(10);
+    expect(spans.has(3)).toBe(false);
+  });
+
+  it('finds nothing in a language that has not been loaded', () => {
+    expect(findCommentAndStringSpans(highlighter, '// Ray', 'go').size).toBe(0);
+  });
+});
+
+describe('linkSymbols', () => {
+  it('links the identifiers that have a definition', () => {
+    const element = line('let r: Ray = ', 'Ray::new(Vec3::zero());');
+    linkSymbols(element, link);
+    expect(getLinkedNames(element)).toEqual(['Ray', 'Ray', 'Vec3']);
+  });
+
+  it('leaves the identifiers that contain a linked name', () => {
+    const element = line('let RayTracer = Rays::new();');
+    linkSymbols(element, link);
+    expect(getLinkedNames(element)).toEqual([]);
+  });
+
+  it('skips the identifiers in the spans of comments and strings', () => {
+    // let r = Ray::new("Ray"); // A Ray
+    const element = line(
+      'let r = ',
+      'Ray',
+      '::new(',
+      '"Ray"',
+      '); ',
+      '// A Ray'
+    );
+    linkSymbols(element, link, [
+      { start: 17, end: 22 },
+      { start: 25, end: 33 },
+    ]);
+    expect(getLinkedNames(element)).toEqual(['Ray']);
+    expect(toHtml(element)).toContain('<span>"Ray"</span>');
+    expect(toHtml(element)).toContain('<span>// A Ray</span>');
+  });
+
+  it('counts the columns of links that are already in the line', () => {
+    const element = line('Ray', ' // Ray');
+    element.children.unshift({
+      type: 'element',
+      tagName: 'a',
+      properties: {},
+      children: [{ type: 'text', value: 'Vec3 ' }],
+    });
+    linkSymbols(element, link, [{ start: 9, end: 15 }]);
+    expect(getLinkedNames(element)).toEqual(['Ray']);
+  });
+});
@@ -0,0 +1,143 @@
+import { exec as execCallback } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import { promisify } from "node:util";
+
+export const BENCHMARKS_FILENAME = "data/benchmarks.json";
+
+const exec = promisify(execCallback);
+
+// The languages are exported at the same time, but a benchmark must run
+// alone, or the other steps would slow it down. The export steps share a
+// lock, and a benchmark waits for the steps that are running to finish and
+// holds the lock by itself. Waiting steps start in order, so that a
+// benchmark is not held off by the steps that start after it.
+let sharedCount = 0;
+let isExclusive = false;
+const waiting = []; // [{ exclusive, resolve }]
+
+const startWaiting = () => {
+  while (waiting.length && !isExclusive) {
+    const [next] = waiting;
+    if (next.exclusive) {
+      if (sharedCount > 0) {
+        return;
+      }
+      isExclusive = true;
+    } else {
+      sharedCount++;
+    }
+    waiting.shift();
+    next.resolve();
+  }
+};
+
+const runLocked = async (exclusive, run) => {
+  await new Promise((resolve) => {
+    waiting.push({ exclusive, resolve });
+    startWaiting();
+  });
+  try {
+    return await run();
+  } finally {
+    if (exclusive) {
+      isExclusive = false;
+    } else {
+      sharedCount--;
+    }
+    startWaiting();
+  }
+};
+
+// Run an export step, which may run alongside other steps but not alongside
+// a benchmark
+export const runExportStep = (run) => runLocked(false, run);
+
+const TIME_COMMAND = "/usr/bin/time";
+
+// Wrap a command with the time command, which reports the peak memory.
+// Without it, only the wall time is measured.
+const timeCommand = (command) => {
+  if (!fs.existsSync(TIME_COMMAND)) {
+    return command;
+  }
+  const quoted = "'" + command.replaceAll("'", "'\\''") + "'";
+  const flag = process.platform == "darwin" ? "-l" : "-v";
+  return `${TIME_COMMAND} ${flag} sh -c ${quoted}`;
+};
+
+// Parse the peak memory, in kilobytes, from the output of the time command
+const parsePeakMemoryKb = (output) => {
+  let m = output.match(/Maximum resident set size \(kbytes\): (\d+)/);
+  if (m) {
+    return parseInt(m[1]);
+  }
+  m = output.match(/(\d+)\s+maximum resident set size/);
+  if (m) {
+    return Math.round(parseInt(m[1]) / 1024);
+  }
+  return null;
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Run a command the given number of times in the project folder, discarding
+// its output. The command should run the built program directly, so that
+// the build tool is not timed with it. Returns { runs, wallTimeMs: { min,
+// median, max }, peakMemoryKb, machine }, where peakMemoryKb is the highest
+// of all runs.
+export const benchmarkCommand = (base, command, runs) =>
+  runLocked(true, async () => {
+    const wallTimesMs = [];
+    let peakMemoryKb = null;
+
+    for (let i = 0; i < runs; i++) {
+      const start = performance.now();
+      const { stderr } = await exec(
+        `cd ${base}; ${timeCommand(`${command} > /dev/null`)}`,
+        { maxBuffer: 64 * 1024 * 1024 },
+      );
+      wallTimesMs.push(Math.round(performance.now() - start));
+
+      const runPeakMemoryKb = parsePeakMemoryKb(stderr);
+      if (runPeakMemoryKb != null) {
+        peakMemoryKb = Math.max(peakMemoryKb ?? 0, runPeakMemoryKb);
+      }
+    }
+
+    return {
+      runs,
+      wallTimeMs: {
+        min: Math.min(...wallTimesMs),
+        median: median(wallTimesMs),
+        max: Math.max(...wallTimesMs),
+      },
+      peakMemoryKb,
+      machine: `${os.cpus()[0]?.model.trim()} (${os.platform()} ${os.arch()})`,
+    };
+  });
+
+// Merge benchmark reports, [{ lang, title, imageSrc, ...benchmark }], into
+// the benchmarks file, keeping the listings that were not benchmarked this
+// time: { [lang]: { [title]: { imageSrc, ...benchmark } } }
+export const writeBenchmarks = (reports) => {
+  const benchmarks = fs.existsSync(BENCHMARKS_FILENAME)
+    ? JSON.parse(fs.readFileSync(BENCHMARKS_FILENAME, "utf8"))
+    : {};
+
+  for (const { lang, title, ...benchmark } of reports) {
+    benchmarks[lang] ??= {};
+    benchmarks[lang][title] = benchmark;
+  }
+
+  fs.writeFileSync(
+    BENCHMARKS_FILENAME,
+    JSON.stringify(benchmarks, null, 2) + "\n",
+  );
+};
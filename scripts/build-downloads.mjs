@@ -0,0 +1,61 @@
+import fs from "node:fs";
+
+import JSZip from "jszip";
+
+import { DOWNLOADS_FILENAME, SNAPSHOTS_FOLDER } from "./snapshots.mjs";
+
+const DOWNLOADS_FOLDER = "public/downloads";
+
+// Fixed timestamps, so that the same project always gives the same zip
+const FILE_DATE = new Date("2023-01-01T00:00:00Z");
+
+// Zip the project at the end of every chapter from the listing snapshots,
+// for the download links at the top of the chapter pages
+const buildChapterDownloads = async () => {
+  const downloads = JSON.parse(fs.readFileSync(DOWNLOADS_FILENAME, "utf8"));
+
+  fs.rmSync(DOWNLOADS_FOLDER, { recursive: true, force: true });
+  fs.mkdirSync(DOWNLOADS_FOLDER, { recursive: true });
+
+  const snapshotsByLang = {};
+
+  for (const [route, downloadsByLang] of Object.entries(downloads)) {
+    for (const [lang, { listing: slug, filename }] of Object.entries(
+      downloadsByLang,
+    )) {
+      snapshotsByLang[lang] ??= JSON.parse(
+        fs.readFileSync(`${SNAPSHOTS_FOLDER}/${lang}.json`, "utf8"),
+      );
+      const { listings, blobs } = snapshotsByLang[lang];
+
+      const listing = listings.find((listing) => listing.slug == slug);
+      if (!listing) {
+        console.log(`Error: ${route}: no ${lang} snapshot for listing ${slug}`);
+        process.exit(1);
+      }
+
+      // Everything goes in one folder named after the zip
+      const folder = filename.replace(/\.zip$/, "");
+      const zip = new JSZip();
+      for (const file of listing.files) {
+        zip.file(`${folder}/${file.filename}`, blobs[file.blob], {
+          date: FILE_DATE,
+          createFolders: false,
+        });
+      }
+
+      const content = await zip.generateAsync({
+        type: "nodebuffer",
+        compression: "DEFLATE",
+      });
+      fs.writeFileSync(`${DOWNLOADS_FOLDER}/${filename}`, content);
+      console.log(`${DOWNLOADS_FOLDER}/${filename}: ${listing.title}`);
+    }
+  }
+};
+
+const main = async () => {
+  await buildChapterDownloads();
+};
+
+main();
@@ -0,0 +1,30 @@
+import fs from "node:fs";
+
+import { SYMBOLS_FILENAME } from "../lib/symbols.mjs";
+import { getSymbolHistory } from "./symbols.mjs";
+import { getMdxListingsByLang } from "./util.mjs";
+
+// Record where every item of the listings is defined and changed, for
+// rehype-pretty-code to link the identifiers in the code blocks to them
+const buildSymbols = () => {
+  const listingsByLang = getMdxListingsByLang();
+
+  const symbols = {};
+  for (const [lang, listings] of Object.entries(listingsByLang)) {
+    const history = getSymbolHistory(lang, listings);
+    if (history) {
+      symbols[lang] = history;
+      console.log(
+        `${SYMBOLS_FILENAME}: ${Object.keys(history.symbols).length} ${lang} symbols`,
+      );
+    }
+  }
+
+  fs.writeFileSync(SYMBOLS_FILENAME, JSON.stringify(symbols, null, 2) + "\n");
+};
+
+const main = () => {
+  buildSymbols();
+};
+
+main();
@@ -0,0 +1,180 @@
+import fs from "node:fs";
+import path from "node:path";
+
+import remarkParse from "remark-parse";
+import { unified } from "unified";
+import { visit } from "unist-util-visit";
+
+import remarkConfig from "../.remarkrc.mjs";
+import { LANGS, LANGUAGES } from "../lib/languages.mjs";
+import { getMdxListingsByLang, getSortedMdxFilenames } from "./util.mjs";
+
+const LANG_BY_TAB_LABEL = Object.fromEntries(
+  LANGS.map((lang) => [LANGUAGES[lang].name, lang]),
+);
+
+// Words that differ between the Rust and the C++ titles of the same listing,
+// e.g. "The Vec3 struct" and "The Vec3 class"
+const LANG_TERMS_REGEX =
+  /\b(trait object|abstract class|struct|class|trait|module|header)\b/g;
+
+const normalizeTitle = (title) => title.replace(LANG_TERMS_REGEX, "<type>");
+
+// main.rs goes with main.cpp, and the other Rust modules with C++ headers
+const isCorrespondingFile = (rustFilename, cppFilename) => {
+  const rust = path.parse(rustFilename);
+  const cpp = path.parse(cppFilename);
+  return (
+    rust.name == cpp.name &&
+    rust.ext == ".rs" &&
+    cpp.ext == (rust.name == "main" ? ".cpp" : ".h")
+  );
+};
+
+// Find the line ranges of the <Tabs> blocks, and of the <Tab>s in them
+const getTabsBlocks = (filename) => {
+  const doc = fs.readFileSync(filename);
+  const ast = unified().use(remarkParse).use(remarkConfig).parse(doc);
+
+  const tabsBlocks = [];
+
+  visit(ast, "mdxJsxFlowElement", (node) => {
+    if (node.name != "Tabs") {
+      return;
+    }
+
+    const tabsBlock = {
+      startLine: node.position.start.line,
+      endLine: node.position.end.line,
+      tabs: [],
+    };
+
+    visit(node, "mdxJsxFlowElement", (child) => {
+      if (child.name != "Tab") {
+        return;
+      }
+      const label = child.attributes.find((attr) => attr.name == "label");
+      tabsBlock.tabs.push({
+        lang: LANG_BY_TAB_LABEL[label?.value],
+        startLine: child.position.start.line,
+        endLine: child.position.end.line,
+      });
+    });
+
+    tabsBlocks.push(tabsBlock);
+  });
+
+  return tabsBlocks;
+};
+
+const checkPair = (rust, cpp) => {
+  const errors = [];
+
+  if (normalizeTitle(rust.title) != normalizeTitle(cpp.title)) {
+    errors.push(`mismatched titles: "${rust.title}" vs "${cpp.title}"`);
+  }
+
+  for (const flag of ["genImage", "genLargeImage", "checkCompile"]) {
+    if (rust[flag] != cpp[flag]) {
+      errors.push(`mismatched ${flag}: ${rust[flag]} vs ${cpp[flag]}`);
+    }
+  }
+
+  const rustFilenames = rust.files.map((file) => file.filename);
+  const cppFilenames = cpp.files.map((file) => file.filename);
+  if (
+    rustFilenames.length != cppFilenames.length ||
+    rustFilenames.some(
+      (filename, index) => !isCorrespondingFile(filename, cppFilenames[index]),
+    )
+  ) {
+    errors.push(
+      `mismatched files: ${rustFilenames.join(",")} vs ${cppFilenames.join(",")}`,
+    );
+  }
+
+  return errors;
+};
+
+const checkRustCppParity = () => {
+  const listingsByLang = getMdxListingsByLang();
+  const listings = Object.values(listingsByLang).flat();
+
+  let hasError = false;
+
+  for (const filename of getSortedMdxFilenames()) {
+    const chapterListings = listings.filter(
+      (listing) => listing.mdxFilename == filename,
+    );
+    if (chapterListings.length == 0) {
+      continue;
+    }
+
+    const errors = [];
+    let numPairs = 0;
+
+    for (const tabsBlock of getTabsBlocks(filename)) {
+      // Listings of each language in this <Tabs>, in order
+      const listingsInTabs = Object.fromEntries(
+        LANGS.map((lang) => [lang, []]),
+      );
+      for (const listing of chapterListings) {
+        const tab = tabsBlock.tabs.find(
+          (tab) =>
+            listing.mdxLine >= tab.startLine && listing.mdxLine <= tab.endLine,
+        );
+        if (tab && tab.lang == listing.lang) {
+          listingsInTabs[tab.lang].push(listing);
+        } else if (tab) {
+          errors.push(
+            `line ${listing.mdxLine}: ${listing.lang} listing in the ` +
+              `${tab.lang} tab: "${listing.title}"`,
+          );
+        }
+      }
+
+      const { rust, cpp } = listingsInTabs;
+      if (rust.length == 0 && cpp.length == 0) {
+        continue;
+      }
+
+      for (let i = 0; i < Math.max(rust.length, cpp.length); i++) {
+        if (!rust[i] || !cpp[i]) {
+          const listing = rust[i] ?? cpp[i];
+          const missingLang = rust[i] ? "cpp" : "rust";
+          errors.push(
+            `line ${listing.mdxLine}: missing ${missingLang} listing for ` +
+              `"${listing.title}"`,
+          );
+          continue;
+        }
+
+        for (const error of checkPair(rust[i], cpp[i])) {
+          errors.push(`line ${rust[i].mdxLine}: ${error}`);
+        }
+        ++numPairs;
+      }
+    }
+
+    if (errors.length) {
+      console.log(`${filename}: ${errors.length} errors`);
+      for (const error of errors) {
+        console.log(`- ${error}`);
+      }
+      hasError = true;
+    } else {
+      console.log(`${filename}: ${numPairs} pairs`);
+    }
+  }
+
+  if (hasError) {
+    console.log("Error: Rust and C++ listings are out of parity");
+    process.exit(1);
+  }
+};
+
+const main = () => {
+  checkRustCppParity();
+};
+
+main();
@@ -0,0 +1,94 @@
+// Diff two sequences with their longest common subsequence.
+// Returns the edit script as [{ type, value }], where type is " " (kept),
+// "-" (only in a) or "+" (only in b).
+export const diffSequences = (a, b) => {
+  const lcs = Array.from({ length: a.length + 1 }, () =>
+    new Array(b.length + 1).fill(0),
+  );
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] =
+        a[i] == b[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] == b[j]) {
+      ops.push({ type: " ", value: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      ops.push({ type: "-", value: a[i] });
+      i++;
+    } else {
+      ops.push({ type: "+", value: b[j] });
+      j++;
+    }
+  }
+  for (; i < a.length; i++) {
+    ops.push({ type: "-", value: a[i] });
+  }
+  for (; j < b.length; j++) {
+    ops.push({ type: "+", value: b[j] });
+  }
+
+  return ops;
+};
+
+// Format the line diff of two texts as a unified diff
+export const createUnifiedDiff = (oldText, newText, label, context = 3) => {
+  const ops = diffSequences(oldText.split("\n"), newText.split("\n"));
+
+  // Line numbers of every op in the old and new text
+  let oldLine = 1;
+  let newLine = 1;
+  const positions = ops.map((op) => {
+    const position = { oldLine, newLine };
+    if (op.type != "+") {
+      oldLine++;
+    }
+    if (op.type != "-") {
+      newLine++;
+    }
+    return position;
+  });
+
+  // Group the changes, with their context lines, into hunks
+  const hunks = [];
+  for (const [index, op] of ops.entries()) {
+    if (op.type == " ") {
+      continue;
+    }
+    const start = Math.max(0, index - context);
+    const end = Math.min(ops.length, index + context + 1);
+    const lastHunk = hunks[hunks.length - 1];
+    if (lastHunk && start <= lastHunk.end) {
+      lastHunk.end = end;
+    } else {
+      hunks.push({ start, end });
+    }
+  }
+
+  let diff = `--- a/${label}\n+++ b/${label}\n`;
+  for (const { start, end } of hunks) {
+    const hunkOps = ops.slice(start, end);
+    const oldCount = hunkOps.filter((op) => op.type != "+").length;
+    const newCount = hunkOps.filter((op) => op.type != "-").length;
+    // An empty range starts at the line before it, e.g. -3,0 for lines
+    // inserted after line 3
+    const { oldLine, newLine } = positions[start];
+    const oldStart = oldCount ? oldLine : oldLine - 1;
+    const newStart = newCount ? newLine : newLine - 1;
+    diff += `@@ -${oldStart},${oldCount} +${newStart},${newCount} @@\n`;
+    for (const op of hunkOps) {
+      diff += op.type + op.value + "\n";
+    }
+  }
+
+  return diff;
+};
@@ -0,0 +1,25 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { createUnifiedDiff } from "./diff.mjs";
+
+test("formats changed lines with their context", () => {
+  assert.equal(
+    createUnifiedDiff("a\nb\nc", "a\nx\nc", "main.rs", 1),
+    "--- a/main.rs\n+++ b/main.rs\n@@ -1,3 +1,3 @@\n a\n-b\n+x\n c\n",
+  );
+});
+
+test("starts an insertion at the line before it", () => {
+  assert.equal(
+    createUnifiedDiff("a\nb", "a\nx\nb", "main.rs", 0),
+    "--- a/main.rs\n+++ b/main.rs\n@@ -1,0 +2,1 @@\n+x\n",
+  );
+});
+
+test("starts a deletion at the line before it", () => {
+  assert.equal(
+    createUnifiedDiff("a\nx\nb", "a\nb", "main.rs", 0),
+    "--- a/main.rs\n+++ b/main.rs\n@@ -2,1 +1,0 @@\n-x\n",
+  );
+});
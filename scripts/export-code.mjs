@@ -1,116 +1,778 @@
-import { execSync } from "node:child_process";
+import { exec as execCallback } from "node:child_process";
+import crypto from "node:crypto";
 import fs from "node:fs";
+import { promisify } from "node:util";
 
+import sharp from "sharp";
 import { simpleGit } from "simple-git";
 import slugify from "slugify";
 
 import { program } from "commander";
 
-import { getMdxListingsByLang } from "./util.mjs";
+import { LANGUAGES } from "../lib/languages.mjs";
+import {
+  BENCHMARKS_FILENAME,
+  benchmarkCommand,
+  runExportStep,
+  writeBenchmarks,
+} from "./benchmark.mjs";
+import { createUnifiedDiff } from "./diff.mjs";
+import { compareImages, convertPpmToPng, readPpmHeader } from "./image.mjs";
+import {
+  LINT_ALLOWLIST_FILENAME,
+  isWarningAllowed,
+  parseWarnings,
+  readLintAllowlist,
+  writeLintAllowlist,
+} from "./lint.mjs";
+import { writeJsonReport, writeJunitReport } from "./report.mjs";
+import {
+  SNAPSHOTS_FOLDER,
+  writeChapterDownloads,
+  writeListingSnapshots,
+} from "./snapshots.mjs";
+import { getMdxListingsByLang, getSortedMdxFilenames } from "./util.mjs";
 
 program
   .option("--check-compile")
   .option("--gen-image")
-  .option("--gen-large-image");
+  .option("--gen-large-image")
+  .option("--update-images")
+  .option("--image-threshold <score>", "max pixel difference", parseFloat, 0.03)
+  .option("--clean", "ignore the export cache and rebuild from scratch")
+  .option("--keep-going", "continue with the next step when a step fails")
+  .option("--lint", "collect warnings of the compiled listings")
+  .option("--update-lint-allowlist")
+  .option(
+    "--bench-runs <count>",
+    "time the image listings over this many runs",
+    (value) => parseInt(value),
+    0,
+  );
 program.parse();
 
 const opts = program.opts();
 
-const exportCodeFromMdxToGit = async () => {
-  let listingsByLang = getMdxListingsByLang();
+const EXPORT_FOLDER = "code";
+const IMAGES_FOLDER = "images";
+const CACHE_FOLDER = EXPORT_FOLDER + "/.cache";
+const REPORT_FILENAME = EXPORT_FOLDER + "/export-report.json";
+const JUNIT_REPORT_FILENAME = EXPORT_FOLDER + "/export-report.xml";
 
-  const EXPORT_FOLDER = "code";
+const ADD_CARGO_DEP_AND_COMMIT = true;
+const WRITE_CODE = true;
+const FORMAT_CODE = true;
+const COMMIT_CODE = true;
+const ADD_SLUGIFY_IMAGE_TITLE = true;
+const CONVERT_IMAGE_TO_PNG = true;
+const WRITE_SNAPSHOTS = true;
 
-  fs.rmSync(EXPORT_FOLDER, { recursive: true, force: true });
-  fs.mkdirSync(EXPORT_FOLDER, { recursive: true }, () => {});
+// Async exec, so that the languages can be exported at the same time
+const exec = (command) =>
+  promisify(execCallback)(command, { maxBuffer: 64 * 1024 * 1024 });
+
+const hasExpectedStdout = (listing) =>
+  listing.expectStdout != null || listing.expectStdoutFile != null;
+
+const needsCompile = (listing) =>
+  (opts.checkCompile || opts.genImage || opts.genLargeImage) &&
+  (listing.checkCompile ||
+    listing.genImage ||
+    listing.genLargeImage ||
+    hasExpectedStdout(listing));
+
+const needsLint = (listing) => opts.lint && needsCompile(listing);
+
+const needsImage = (listing) =>
+  (opts.genImage && listing.genImage) ||
+  (opts.genLargeImage && listing.genLargeImage);
+
+const needsBenchmark = (listing) => opts.benchRuns > 0 && needsImage(listing);
+
+// Image listings print the image, so only the other listings are run to
+// check what they print
+const needsStdout = (listing) =>
+  needsCompile(listing) && hasExpectedStdout(listing) && !needsImage(listing);
+
+// Hash every listing together with all the listings before it, so that a
+// change in one listing invalidates the listings after it
+const hashListingChain = (seed, listings) => {
+  let hash = seed;
+  return listings.map((listing) => {
+    hash = crypto
+      .createHash("sha1")
+      .update(hash)
+      .update(
+        JSON.stringify([listing.title, listing.addCargoDep, listing.files]),
+      )
+      .digest("hex");
+    return hash;
+  });
+};
 
-  const starterRepoPathByLang = {
-    rust: "../templates/ray-tracing-starter-rust",
-    cpp: "../templates/ray-tracing-starter-cpp",
+// The cache holds one entry per exported listing:
+// { hash, commit, compiled, warnings, image, imageSize, stdout, benchmark }
+const readCache = (cacheFilename, base) => {
+  if (opts.clean || !fs.existsSync(base + "/.git")) {
+    return [];
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(cacheFilename, "utf8"));
+  } catch (e) {
+    return [];
+  }
+};
+
+const writeCache = (cacheFilename, entries) => {
+  fs.mkdirSync(CACHE_FOLDER, { recursive: true });
+  fs.writeFileSync(cacheFilename, JSON.stringify(entries, null, 2) + "\n");
+};
+
+const exportListingsToGit = async (lang, listings, records) => {
+  const log = (...args) => console.log(`[${lang}]`, ...args);
+
+  const addRecord = (listing, step, status, exitCode = null, stderr = "") => {
+    records.push({
+      lang,
+      title: listing.title,
+      mdxFilename: listing.mdxFilename,
+      step,
+      status,
+      exitCode,
+      stderr,
+    });
+  };
+
+  // A failed step is recorded, and then rethrown unless --keep-going is set.
+  // Returns whether the step passed.
+  // Benchmarks lock out the other steps themselves.
+  const runStep = async (listing, step, run) => {
+    try {
+      const { stderr = "" } =
+        (await (step == "benchmark" ? run() : runExportStep(run))) ?? {};
+      addRecord(listing, step, "passed", 0, stderr);
+      return true;
+    } catch (e) {
+      const exitCode = e.code ?? null;
+      addRecord(listing, step, "failed", exitCode, e.stderr || e.message);
+      log(`Failed: ${step} (exit code ${exitCode})`);
+      if (!opts.keepGoing) {
+        throw e;
+      }
+      return false;
+    }
   };
 
-  const ADD_CARGO_DEP_AND_COMMIT = true;
-  const WRITE_CODE = true;
-  const FORMAT_CODE = true;
-  const COMMIT_CODE = true;
-  const ADD_SLUGIFY_IMAGE_TITLE = true;
+  const language = LANGUAGES[lang];
+  const base = EXPORT_FOLDER + "/" + lang;
+  const execInProject = (command) => exec(`cd ${base}; ${command}`);
+  const cacheFilename = CACHE_FOLDER + "/" + lang + ".json";
+
+  // Changing the starter template invalidates every listing
+  const starterRepoPath = EXPORT_FOLDER + "/" + language.starterRepoPath;
+  const starterCommit = await simpleGit(starterRepoPath).revparse(["HEAD"]);
+  const hashes = hashListingChain(starterCommit, listings);
+
+  // Find the first listing that has to be replayed
+  let entries = readCache(cacheFilename, base);
+  let numCached = 0;
+  while (numCached < entries.length && numCached < listings.length) {
+    const listing = listings[numCached];
+    const entry = entries[numCached];
+    if (
+      entry.hash != hashes[numCached] ||
+      (needsCompile(listing) && !entry.compiled) ||
+      (needsLint(listing) && !entry.warnings) ||
+      (needsImage(listing) && (!entry.image || !entry.imageSize)) ||
+      (needsStdout(listing) && entry.stdout == null) ||
+      (needsBenchmark(listing) && entry.benchmark?.runs != opts.benchRuns)
+    ) {
+      break;
+    }
+    ++numCached;
+  }
+  entries = entries.slice(0, numCached);
+
+  let git;
+  if (numCached == 0) {
+    log("Exporting from the starter template");
+    fs.rmSync(base, { recursive: true, force: true });
 
-  for (let lang in listingsByLang) {
-    console.log(`[${lang}]`);
-    let git = simpleGit(EXPORT_FOLDER);
-    await git.clone(starterRepoPathByLang[lang], lang);
+    git = simpleGit(EXPORT_FOLDER);
+    await git.clone(language.starterRepoPath, lang);
 
-    const base = EXPORT_FOLDER + "/" + lang;
     git = simpleGit(base);
 
     fs.rmSync(base + "/.git", { recursive: true, force: true });
 
     await git.init();
     await git.add(".").commit("Initial commit");
+  } else {
+    log(`Reusing ${numCached} of ${listings.length} cached listings`);
+    git = simpleGit(base);
+
+    // Keep ignored files, such as build folders, to speed up compiling
+    await git.reset(["--hard", entries[numCached - 1].commit]);
+    await git.raw(["clean", "-fd"]);
+  }
+
+  const imageReports = [];
+  const lintReports = [];
+  const benchmarkReports = [];
+  const addBenchmarkReport = (listing, benchmark) => {
+    benchmarkReports.push({
+      lang,
+      title: listing.title,
+      imageSrc: listing.imageSrc,
+      ...benchmark,
+    });
+  };
+  let i = 1;
 
-    let i = 1;
+  // Warnings of the last linted listing, to find the warnings that a listing
+  // introduces
+  let lastWarnings = [];
+  const addLintReport = (listing, warnings) => {
+    lintReports.push({
+      lang,
+      title: listing.title,
+      mdxFilename: listing.mdxFilename,
+      warnings: warnings.filter((warning) => !lastWarnings.includes(warning)),
+    });
+    lastWarnings = warnings;
+  };
+
+  // Listings after a failed step are not cached, so the next export replays
+  // from the failed listing
+  let isCacheable = true;
+
+  for (const [index, listing] of listings.entries()) {
+    let filename = "";
+    if (needsImage(listing)) {
+      filename = `image${i}`;
+      if (ADD_SLUGIFY_IMAGE_TITLE) {
+        filename += "-" + slugify(listing.title, { remove: /[*+~.()'"!:@]/g });
+      }
+      filename += ".ppm";
+      ++i;
+    }
 
-    for (const listing of listingsByLang[lang]) {
-      console.log(`- ${listing.title}`);
+    if (index < numCached) {
+      const { image, warnings, benchmark } = entries[index];
+      if (needsLint(listing)) {
+        addLintReport(listing, warnings);
+      }
+      if (filename && image && listing.imageSrc) {
+        imageReports.push({
+          lang,
+          title: listing.title,
+          ...(await checkImage(image, IMAGES_FOLDER + "/" + listing.imageSrc)),
+        });
+      }
+      if (needsBenchmark(listing)) {
+        addBenchmarkReport(listing, benchmark);
+      }
+      if (needsStdout(listing) || (filename && listing.expectImageSize)) {
+        await runStep(listing, "check-output", () =>
+          checkOutput(listing, entries[index]),
+        );
+      }
+      continue;
+    }
 
-      if (ADD_CARGO_DEP_AND_COMMIT && listing.addCargoDep) {
-        console.log(`Adding Cargo dependency: ${listing.addCargoDep}`);
-        execSync(`cd ${base}; cargo add ${listing.addCargoDep}`);
+    log(`- ${listing.title}`);
+
+    if (ADD_CARGO_DEP_AND_COMMIT && listing.addCargoDep) {
+      log(`Adding Cargo dependency: ${listing.addCargoDep}`);
+      if (
+        await runStep(listing, "add-dep", () => {
+          if (!language.commands.addDep) {
+            throw new Error(`Adding dependencies is not supported for ${lang}`);
+          }
+          return execInProject(language.commands.addDep(listing.addCargoDep));
+        })
+      ) {
         await git.add(".").commit(`Add ${listing.addCargoDep} to Cargo`);
+      } else {
+        isCacheable = false;
       }
+    }
 
-      if (WRITE_CODE) {
+    if (WRITE_CODE) {
+      for (const file of listing.files) {
         fs.writeFileSync(
-          base + "/src/" + listing.filename,
-          listing.code + "\n",
+          `${base}/${language.sourceFolder}/${file.filename}`,
+          file.code + "\n",
           () => {},
         );
       }
+    }
 
-      if (FORMAT_CODE) {
-        if (lang == "rust") {
-          execSync(`cd ${base}; cargo +nightly fmt`);
-        } else if (lang == "cpp") {
-          execSync(`cd ${base}; clang-format -i src/*`);
-        }
+    if (FORMAT_CODE) {
+      if (
+        !(await runStep(listing, "format", () =>
+          execInProject(language.commands.format),
+        ))
+      ) {
+        isCacheable = false;
       }
+    }
+
+    if (COMMIT_CODE) {
+      await git.add(".").commit(`Listing: ${listing.title}`);
+    }
 
-      if (COMMIT_CODE) {
-        await git.add(".").commit(`Listing: ${listing.title}`);
+    const entry = {
+      hash: hashes[index],
+      commit: await git.revparse(["HEAD"]),
+      compiled: false,
+      warnings: null,
+      image: null,
+    };
+
+    if (needsCompile(listing)) {
+      log(`Compiling`);
+      entry.compiled = await runStep(listing, "compile", () =>
+        execInProject(language.commands.build),
+      );
+    }
+
+    if (needsLint(listing) && entry.compiled) {
+      log(`Linting`);
+      await runStep(listing, "lint", async () => {
+        const { stdout, stderr } = await execInProject(language.commands.lint);
+        entry.warnings = parseWarnings(stdout + stderr, base);
+        return { stderr };
+      });
+      if (entry.warnings) {
+        log(`Warnings: ${entry.warnings.length}`);
+        addLintReport(listing, entry.warnings);
       }
+    }
 
+    if (needsStdout(listing) && !entry.compiled) {
+      addRecord(listing, "run", "skipped");
+    } else if (needsStdout(listing)) {
+      log(`Running`);
+      const isRun = await runStep(listing, "run", async () => {
+        const { stdout, stderr } = await execInProject(language.commands.run);
+        entry.stdout = stdout;
+        return { stderr };
+      });
       if (
-        (opts.checkCompile || opts.genImage || opts.genLargeImage) &&
-        (listing.checkCompile || listing.genImage || listing.genLargeImage)
+        !isRun ||
+        !(await runStep(listing, "check-output", () =>
+          checkOutput(listing, entry),
+        ))
       ) {
-        console.log(`Compiling`);
-        if (lang == "rust") {
-          execSync(`cd ${base}; cargo build --release`);
-        } else if (lang == "cpp") {
-          execSync(`cd ${base}; make clean; make build-release`);
-        }
+        isCacheable = false;
       }
+    }
 
-      if (
-        (opts.genImage && listing.genImage) ||
-        (opts.genLargeImage && listing.genLargeImage)
-      ) {
-        let filename = `image${i}`;
-        if (ADD_SLUGIFY_IMAGE_TITLE) {
-          filename +=
-            "-" + slugify(listing.title, { remove: /[*+~.()'"!:@]/g });
+    let isImageGenerated = false;
+    if (filename && needsCompile(listing) && !entry.compiled) {
+      addRecord(listing, "run", "skipped");
+    } else if (filename) {
+      log(`Generating image: ${filename}`);
+      isImageGenerated = await runStep(listing, "run", () =>
+        execInProject(`${language.commands.run} > ${filename}`),
+      );
+    }
+
+    // A broken PPM header fails the listing even without expectImageSize
+    if (
+      isImageGenerated &&
+      !(await runStep(listing, "check-output", () => {
+        const { width, height } = readPpmHeader(base + "/" + filename);
+        entry.imageSize = `${width}x${height}`;
+        checkOutput(listing, entry);
+      }))
+    ) {
+      isImageGenerated = false;
+    }
+
+    if (isImageGenerated && needsBenchmark(listing)) {
+      log(`Benchmarking over ${opts.benchRuns} runs`);
+      await runStep(listing, "benchmark", async () => {
+        const { stdout: runCommand } = await execInProject(
+          language.commands.printRun,
+        );
+        entry.benchmark = await benchmarkCommand(
+          base,
+          runCommand.trim(),
+          opts.benchRuns,
+        );
+        addBenchmarkReport(listing, entry.benchmark);
+      });
+      if (!entry.benchmark) {
+        isCacheable = false;
+      }
+    }
+
+    if (filename && !isImageGenerated) {
+      isCacheable = false;
+      if (CONVERT_IMAGE_TO_PNG) {
+        addRecord(listing, "convert-image", "skipped");
+      }
+    } else if (filename) {
+      if (CONVERT_IMAGE_TO_PNG) {
+        // Keep PNGs out of the exported repository so they never end up
+        // in a listing commit
+        const pngFolder = EXPORT_FOLDER + "/images/" + lang;
+        const pngFilename =
+          pngFolder + "/" + filename.replace(/\.ppm$/, ".png");
+        log(`Converting image: ${pngFilename}`);
+        fs.mkdirSync(pngFolder, { recursive: true });
+        if (
+          await runStep(listing, "convert-image", () =>
+            convertPpmToPng(base + "/" + filename, pngFilename),
+          )
+        ) {
+          entry.image = pngFilename;
+        } else {
+          isCacheable = false;
         }
-        filename += ".ppm";
 
-        console.log(`Generating image: ${filename}`);
-        if (lang == "rust") {
-          execSync(`cd ${base}; cargo run --release > ${filename}`);
-        } else if (lang == "cpp") {
-          execSync(`cd ${base}; make run-release > ${filename}`);
+        if (entry.image && listing.imageSrc) {
+          const report = await checkImage(
+            pngFilename,
+            IMAGES_FOLDER + "/" + listing.imageSrc,
+          );
+          log(`Image difference: ${formatScore(report.score)}`);
+          imageReports.push({ lang, title: listing.title, ...report });
         }
-        ++i;
       }
     }
+
+    if (
+      (!entry.compiled && needsCompile(listing)) ||
+      (!entry.warnings && needsLint(listing))
+    ) {
+      isCacheable = false;
+    }
+
+    if (isCacheable) {
+      entries.push(entry);
+      writeCache(cacheFilename, entries);
+    }
+  }
+
+  return { imageReports, lintReports, benchmarkReports };
+};
+
+const exportCodeFromMdxToGit = async () => {
+  let listingsByLang = getMdxListingsByLang();
+
+  if (opts.clean) {
+    fs.rmSync(EXPORT_FOLDER, { recursive: true, force: true });
+  }
+  fs.mkdirSync(EXPORT_FOLDER, { recursive: true }, () => {});
+
+  const records = [];
+
+  // Without --keep-going, a failed step stops the export of its language only
+  const results = await Promise.allSettled(
+    Object.entries(listingsByLang).map(([lang, listings]) =>
+      exportListingsToGit(lang, listings, records),
+    ),
+  );
+
+  // Snapshots of every listing, for the "view full file" pages and the
+  // chapter downloads
+  if (WRITE_SNAPSHOTS) {
+    const exportedListingsByLang = {};
+    const langs = Object.keys(listingsByLang);
+    for (const [index, result] of results.entries()) {
+      const lang = langs[index];
+      if (result.status == "fulfilled") {
+        console.log(`[${lang}] Writing snapshots to ${SNAPSHOTS_FOLDER}`);
+        const base = EXPORT_FOLDER + "/" + lang;
+        await writeListingSnapshots(lang, listingsByLang[lang], base);
+        exportedListingsByLang[lang] = listingsByLang[lang];
+      }
+    }
+    writeChapterDownloads(exportedListingsByLang, getSortedMdxFilenames());
+  }
+
+  const fulfilledValues = results
+    .filter((result) => result.status == "fulfilled")
+    .map((result) => result.value);
+  const imageReports = fulfilledValues.flatMap((value) => value.imageReports);
+  const lintReports = fulfilledValues.flatMap((value) => value.lintReports);
+  const benchmarkReports = fulfilledValues.flatMap(
+    (value) => value.benchmarkReports,
+  );
+
+  if (benchmarkReports.length) {
+    printBenchmarkReports(benchmarkReports);
+    writeBenchmarks(benchmarkReports);
+    console.log(`Benchmarks written to ${BENCHMARKS_FILENAME}`);
+  }
+
+  if (imageReports.length) {
+    if (opts.updateImages) {
+      await updateImages(imageReports);
+    }
+
+    printImageReports(imageReports);
+
+    for (const report of imageReports) {
+      const listing = listingsByLang[report.lang].find(
+        (listing) => listing.title == report.title,
+      );
+      records.push({
+        lang: report.lang,
+        title: report.title,
+        mdxFilename: listing.mdxFilename,
+        step: "compare-image",
+        status: FAILED_IMAGE_STATUSES.includes(report.status)
+          ? "failed"
+          : "passed",
+        exitCode: null,
+        stderr: getImageError(report),
+      });
+    }
+  }
+
+  if (opts.lint) {
+    if (opts.updateLintAllowlist) {
+      updateLintAllowlist(lintReports);
+    }
+
+    printLintReports(lintReports);
+
+    const allowlist = readLintAllowlist();
+    for (const report of lintReports) {
+      const newWarnings = report.warnings.filter(
+        (warning) =>
+          !isWarningAllowed(allowlist, report.lang, report.title, warning),
+      );
+      records.push({
+        lang: report.lang,
+        title: report.title,
+        mdxFilename: report.mdxFilename,
+        step: "check-warnings",
+        status: newWarnings.length ? "failed" : "passed",
+        exitCode: null,
+        stderr: newWarnings.join("\n"),
+      });
+    }
+  }
+
+  writeJsonReport(REPORT_FILENAME, records);
+  writeJunitReport(JUNIT_REPORT_FILENAME, records);
+  printStepReport(records);
+
+  let hasError = false;
+
+  for (const result of results) {
+    if (result.status == "rejected") {
+      console.log("Error:", result.reason.message);
+      hasError = true;
+    }
+  }
+
+  if (records.some((record) => record.status == "failed")) {
+    console.log(`Error: some steps failed (see ${REPORT_FILENAME})`);
+    hasError = true;
+  }
+
+  if (imageReports.some((report) => report.status == "drift")) {
+    console.log(
+      "Error: generated images drifted from the committed images " +
+        "(use --update-images to accept them)",
+    );
+    hasError = true;
+  }
+
+  if (hasError) {
+    process.exit(1);
+  }
+};
+
+// Replace the allowlist with the warnings of this export, keeping the
+// entries of the languages that were not linted
+const updateLintAllowlist = (lintReports) => {
+  const langs = new Set(lintReports.map((report) => report.lang));
+  const allowlist = readLintAllowlist().filter(
+    (entry) => !langs.has(entry.lang),
+  );
+
+  for (const report of lintReports) {
+    for (const warning of report.warnings) {
+      allowlist.push({ lang: report.lang, title: report.title, warning });
+    }
+  }
+
+  console.log(`Updating lint allowlist: ${LINT_ALLOWLIST_FILENAME}`);
+  writeLintAllowlist(allowlist);
+};
+
+const printLintReports = (lintReports) => {
+  console.log("");
+  console.log("Lint report (warnings introduced by each listing)");
+  for (const report of lintReports) {
+    if (report.warnings.length == 0) {
+      continue;
+    }
+    console.log(`- [${report.lang}] ${report.title} (${report.mdxFilename})`);
+    for (const warning of report.warnings) {
+      console.log(`  ${warning}`);
+    }
+  }
+};
+
+const printBenchmarkReports = (benchmarkReports) => {
+  console.log("Benchmarks (median wall time, peak memory):");
+  for (const report of benchmarkReports) {
+    const memory =
+      report.peakMemoryKb == null ? "-" : `${report.peakMemoryKb} KB`;
+    console.log(
+      `- [${report.lang}] ${report.title}: ` +
+        `${report.wallTimeMs.median} ms, ${memory}`,
+    );
+  }
+};
+
+const printStepReport = (records) => {
+  const failedRecords = records.filter((record) => record.status == "failed");
+  const skippedRecords = records.filter((record) => record.status == "skipped");
+
+  console.log("");
+  console.log(
+    `Step report: ${records.length} steps, ` +
+      `${failedRecords.length} failed, ${skippedRecords.length} skipped`,
+  );
+  for (const record of failedRecords) {
+    console.log(
+      `- [${record.lang}] ${record.title} (${record.mdxFilename}): ` +
+        `${record.step} failed with exit code ${record.exitCode}`,
+    );
+  }
+};
+
+// Check what a listing printed against its expectStdout and expectStdoutFile
+// meta, and the size of the image it drew against its expectImageSize meta.
+// Throws an error listing the mismatches.
+const checkOutput = (listing, { stdout = null, imageSize = null }) => {
+  const errors = [];
+
+  if (stdout != null) {
+    const expectations = [];
+    if (listing.expectStdout != null) {
+      expectations.push(["expectStdout", listing.expectStdout]);
+    }
+    if (listing.expectStdoutFile != null) {
+      if (fs.existsSync(listing.expectStdoutFile)) {
+        expectations.push([
+          listing.expectStdoutFile,
+          fs.readFileSync(listing.expectStdoutFile, "utf8"),
+        ]);
+      } else {
+        errors.push(`Missing expectStdoutFile: ${listing.expectStdoutFile}`);
+      }
+    }
+
+    for (const [label, expected] of expectations) {
+      if (stdout.trimEnd() != expected.trimEnd()) {
+        errors.push(
+          `Unexpected stdout (- expected, + actual):\n` +
+            createUnifiedDiff(expected.trimEnd(), stdout.trimEnd(), label),
+        );
+      }
+    }
+  }
+
+  if (
+    imageSize != null &&
+    listing.expectImageSize != null &&
+    imageSize != listing.expectImageSize
+  ) {
+    errors.push(
+      `Unexpected image size ${imageSize}, expected ${listing.expectImageSize}`,
+    );
+  }
+
+  if (errors.length) {
+    throw new Error(errors.join("\n"));
+  }
+};
+
+const formatScore = (score) => (score == null ? "-" : score.toFixed(4));
+
+// Compare a generated image with the one committed in the images folder.
+// A committed image that is missing or can't be read fails the comparison of
+// its listing only, so that the export goes on with the other listings.
+const checkImage = async (pngFilename, imageFilename) => {
+  const report = { image: imageFilename, png: pngFilename, score: null };
+  if (!fs.existsSync(imageFilename)) {
+    return { ...report, status: "missing", error: "No such image" };
+  }
+
+  let comparison;
+  try {
+    comparison = await compareImages(pngFilename, imageFilename);
+  } catch (e) {
+    return { ...report, status: "error", error: e.message };
+  }
+  const { score, actualSize, expectedSize } = comparison;
+
+  let status = "ok";
+  if (score == null) {
+    // The committed image is cropped or resized by hand, so leave it alone
+    status = `size-mismatch (${actualSize} vs ${expectedSize})`;
+  } else if (score > opts.imageThreshold) {
+    status = "drift";
+  }
+
+  return { ...report, score, status };
+};
+
+// The statuses of image reports that fail the export
+const FAILED_IMAGE_STATUSES = ["drift", "missing", "error"];
+
+const getImageError = (report) => {
+  if (report.status == "drift") {
+    return (
+      `Pixel difference ${formatScore(report.score)} is above ` +
+      `${opts.imageThreshold}: ${report.image}`
+    );
+  }
+  return report.error ? `${report.error}: ${report.image}` : "";
+};
+
+// Replace the committed images with the generated ones. Reports are in
+// language order, so Rust wins when both languages map to the same image,
+// and the other languages are compared again against the new image.
+const updateImages = async (imageReports) => {
+  const updatedImages = new Set();
+
+  for (const report of imageReports) {
+    if (report.score == null || report.score == 0) {
+      continue;
+    }
+
+    if (updatedImages.has(report.image)) {
+      Object.assign(report, await checkImage(report.png, report.image));
+      continue;
+    }
+
+    console.log(`Updating image: ${report.image}`);
+    await sharp(report.png).toFile(report.image);
+    updatedImages.add(report.image);
+    report.status = "updated";
+  }
+};
+
+const printImageReports = (imageReports) => {
+  console.log("");
+  console.log(`Image report (threshold: ${opts.imageThreshold})`);
+  for (const report of imageReports) {
+    console.log(
+      `- [${report.lang}] ${report.title}: ${formatScore(report.score)} ` +
+        `${report.status} (${report.image})`,
+    );
   }
 };
 
@@ -0,0 +1,100 @@
+import fs from "node:fs";
+
+import sharp from "sharp";
+
+// Parse a plain (P3) PPM file, as written by the tutorial programs
+export const readPpm = (filename) => {
+  const tokens = fs
+    .readFileSync(filename, "ascii")
+    .replace(/#.*$/gm, "") // Strip comments
+    .split(/\s+/)
+    .filter((token) => token != "");
+
+  if (tokens[0] != "P3") {
+    throw new Error(`Unsupported PPM format "${tokens[0]}": ${filename}`);
+  }
+
+  const width = parseInt(tokens[1]);
+  const height = parseInt(tokens[2]);
+  const maxValue = parseInt(tokens[3]);
+  const size = width * height * 3;
+
+  if (tokens.length - 4 < size) {
+    throw new Error(
+      `Truncated PPM: expected ${size} values, found ${tokens.length - 4}: ${filename}`,
+    );
+  }
+
+  const data = Buffer.alloc(size);
+  for (let i = 0; i < size; i++) {
+    data[i] = Math.round((parseInt(tokens[4 + i]) * 255) / maxValue);
+  }
+
+  return { width, height, data };
+};
+
+// Read the header of a plain (P3) PPM file, checking that it is well formed
+export const readPpmHeader = (filename) => {
+  const fd = fs.openSync(filename, "r");
+  const buffer = Buffer.alloc(4096);
+  const length = fs.readSync(fd, buffer, 0, buffer.length, 0);
+  fs.closeSync(fd);
+
+  const tokens = buffer
+    .toString("ascii", 0, length)
+    .replace(/#.*$/gm, "") // Strip comments
+    .split(/\s+/)
+    .filter((token) => token != "")
+    .slice(0, 4);
+
+  if (tokens[0] != "P3") {
+    throw new Error(`Unsupported PPM format "${tokens[0]}": ${filename}`);
+  }
+  if (tokens.length < 4 || !tokens.slice(1).every((t) => /^\d+$/.test(t))) {
+    throw new Error(`Malformed PPM header "${tokens.join(" ")}": ${filename}`);
+  }
+
+  const [width, height, maxValue] = tokens.slice(1).map(Number);
+  if (width == 0 || height == 0 || maxValue == 0 || maxValue > 65535) {
+    throw new Error(`Malformed PPM header "${tokens.join(" ")}": ${filename}`);
+  }
+
+  return { width, height, maxValue };
+};
+
+export const convertPpmToPng = async (ppmFilename, pngFilename) => {
+  const { width, height, data } = readPpm(ppmFilename);
+  await sharp(data, { raw: { width, height, channels: 3 } })
+    .png()
+    .toFile(pngFilename);
+};
+
+const readRgb = (filename) =>
+  sharp(filename)
+    .toColourspace("srgb")
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+// Compare two images pixel by pixel.
+// The score is the mean absolute channel difference, from 0 (identical) to
+// 1 (black vs white everywhere), or null if the image sizes differ.
+export const compareImages = async (actualFilename, expectedFilename) => {
+  const actual = await readRgb(actualFilename);
+  const expected = await readRgb(expectedFilename);
+
+  const actualSize = `${actual.info.width}x${actual.info.height}`;
+  const expectedSize = `${expected.info.width}x${expected.info.height}`;
+
+  if (actualSize != expectedSize) {
+    return { score: null, actualSize, expectedSize };
+  }
+
+  let sum = 0;
+  for (let i = 0; i < actual.data.length; i++) {
+    sum += Math.abs(actual.data[i] - expected.data[i]);
+  }
+  const score = sum / (actual.data.length * 255);
+
+  return { score, actualSize, expectedSize };
+};
@@ -1,25 +1,31 @@
 import fs from "node:fs";
-import { dirname } from "path";
+import path, { dirname } from "path";
 import { fileURLToPath } from "url";
 
 import remarkParse from "remark-parse";
-import remarkStringify from "remark-stringify";
 import { unified } from "unified";
 import { visit } from "unist-util-visit";
 
 import { simpleGit } from "simple-git";
 
+import { program } from "commander";
+
 import remarkConfig from "../.remarkrc.mjs";
+import { LANGS, LANGUAGES } from "../lib/languages.mjs";
 import {
+  getListingCode,
   getMdxListingsByLang,
   getSortedMdxFilenames,
   parseMdAstNodeMeta,
 } from "./util.mjs";
+import { createUnifiedDiff } from "./diff.mjs";
+import { formatCodeNode, updateHighlightMeta } from "./listing-meta.mjs";
+import { diffWords, findOccurrenceNumber } from "./word-diff.mjs";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-const getGitCommits = async (gitRepoPath) => {
+const getGitCommits = async (gitRepoPath, language) => {
   const git = simpleGit(gitRepoPath);
   const logEntries = (await git.log()).all.reverse();
 
@@ -29,9 +35,7 @@ const getGitCommits = async (gitRepoPath) => {
     let commit = {
       message: "",
       hash: log.hash,
-      filename: null,
-      diffRanges: [],
-      code: null,
+      files: [], // [{ filename, diffRanges, code }]
     };
 
     // Parse message
@@ -43,26 +47,38 @@ const getGitCommits = async (gitRepoPath) => {
 
     const show = await git.show(log.hash, ["--unified=0", "--patience"]);
     let lines = show.split("\n");
+    let currentFile = null;
+    let currentDiffRange = null;
     for (let line of lines) {
+      // Parse removed and added lines
+      if (currentDiffRange && line.startsWith("-")) {
+        currentDiffRange.removedLines.push(line.slice(1));
+        continue;
+      }
+      if (currentDiffRange && line.startsWith("+")) {
+        currentDiffRange.addedLines.push(line.slice(1));
+        continue;
+      }
+
       // Parse filename
       let m = line.match(/^diff --git a\/\S+ b\/(\S+)/);
       if (m) {
-        if (commit.filename) {
-          console.log("Error: more than one file found in a listing commit");
-          console.log(" message:", commit.message);
-          console.log(" hash:", commit.hash);
-          console.log(" file 1:", commit.filename);
-          console.log(" file 2:", m[1]);
-          //process.exit();
-        } else {
-          commit.filename = m[1];
-        }
+        currentFile = { filename: m[1], diffRanges: [], code: null };
+        currentDiffRange = null;
+        commit.files.push(currentFile);
       }
 
       // Parse diffRanges
       m = line.match(/\@\@\s\-(\S+)\s+\+(\S+)\s+\@\@/);
       if (m) {
-        let diffRange = { start1: 0, count1: 1, start2: 0, count2: 1 };
+        let diffRange = {
+          start1: 0,
+          count1: 1,
+          start2: 0,
+          count2: 1,
+          removedLines: [],
+          addedLines: [],
+        };
 
         if (m[1].includes(",")) {
           let tokens = m[1].split(",");
@@ -80,16 +96,26 @@ const getGitCommits = async (gitRepoPath) => {
           diffRange.start2 = parseInt(m[2]);
         }
 
-        commit.diffRanges.push(diffRange);
+        currentFile.diffRanges.push(diffRange);
+        currentDiffRange = diffRange;
       }
     }
 
+    // Only the source files come from listings, e.g. not Cargo.lock
+    commit.files = commit.files.filter(
+      (file) =>
+        file.filename.startsWith(language.sourceFolder + "/") &&
+        language.extensions.includes(path.extname(file.filename)),
+    );
+
     // Parse code
-    let code = await git.show(log.hash + ":" + commit.filename);
-    if (code.slice(-1) == "\n") {
-      code = code.slice(0, -1); // Trim the last newline
+    for (const file of commit.files) {
+      let code = await git.show(log.hash + ":" + file.filename);
+      if (code.slice(-1) == "\n") {
+        code = code.slice(0, -1); // Trim the last newline
+      }
+      file.code = code;
     }
-    commit.code = code;
 
     // Add parsed commit
     commits.push(commit);
@@ -100,9 +126,25 @@ const getGitCommits = async (gitRepoPath) => {
   return commits;
 };
 
-const importCodeFromGitToMdx = async (importSpecs) => {
+// Import the code of the listings from the git repositories of the languages
+// into the MDX files, or with check, only find the listings that are out of
+// sync. Returns those listings, with the diff of each.
+export const importCodeFromGitToMdx = async (
+  importSpecs,
+  { check = false } = {},
+) => {
+  // The progress of the import, left out of the drift report of check
+  const log = (...args) => {
+    if (!check) {
+      console.log(...args);
+    }
+  };
+
   const mdxListingsByLang = getMdxListingsByLang();
 
+  // Listings whose code or meta differ from the git history
+  const drifts = [];
+
   for (const importSpec of importSpecs) {
     const m = importSpec.match(/([^:]+):([^:]+)/);
     if (!m) {
@@ -112,10 +154,11 @@ const importCodeFromGitToMdx = async (importSpecs) => {
     const lang = m[1];
     const gitRepoPath = m[2];
 
-    console.log("Lang:", lang);
-    console.log("Path:", gitRepoPath);
+    log("Lang:", lang);
+    log("Path:", gitRepoPath);
 
-    const gitCommits = await getGitCommits(gitRepoPath);
+    const language = LANGUAGES[lang];
+    const gitCommits = await getGitCommits(gitRepoPath, language);
 
     const titleToGitCommit = {};
     for (const commit of gitCommits) {
@@ -164,11 +207,20 @@ const importCodeFromGitToMdx = async (importSpecs) => {
         const gitCommit = titleToGitCommit[title];
         const mdxListing = titleToMdxListing[title];
 
-        if (gitCommit.filename != "src/" + mdxListing.filename) {
+        const gitFilenames = gitCommit.files.map((file) => file.filename);
+        const mdxFilenames = mdxListing.files.map(
+          (file) => language.sourceFolder + "/" + file.filename,
+        );
+
+        if (
+          gitFilenames.length != mdxFilenames.length ||
+          gitFilenames.some((filename) => !mdxFilenames.includes(filename))
+        ) {
           console.log(
             "Error: inconsistent filename:",
-            "git=" + gitCommit.filename,
-            "mdx=" + mdxListing.filename,
+            "title=" + title,
+            "git=" + gitFilenames.join(","),
+            "mdx=" + mdxFilenames.join(","),
           );
           hasError = true;
         }
@@ -186,68 +238,148 @@ const importCodeFromGitToMdx = async (importSpecs) => {
     const mdxFilenames = getSortedMdxFilenames();
 
     for (const filename of mdxFilenames) {
-      const doc = fs.readFileSync(filename);
+      const doc = String(fs.readFileSync(filename));
+
+      // Changed code blocks, to be spliced back into the original text
+      const edits = [];
 
       const plugin = () => (mdast) => {
         visit(mdast, "code", (node) => {
-          const meta = parseMdAstNodeMeta(node);
+          const meta = parseMdAstNodeMeta(node, filename);
           if (meta.title in titleToGitCommit && meta.lang == lang) {
             const commit = titleToGitCommit[meta.title];
+            const oldValue = node.value;
+            const oldMeta = node.meta;
+
+            // Each code block of a listing maps to one file of the commit
+            const commitFile = commit.files.find(
+              (file) =>
+                file.filename == language.sourceFolder + "/" + meta.filename,
+            );
+
+            // A code block that shows its removed lines (removed="...") or
+            // annotation markers keeps its code while the rest of it is still
+            // the code of the commit
+            const isCodeKept =
+              node.value != commitFile.code &&
+              getListingCode(node.value, meta) == commitFile.code;
 
             // Replace code
-            if (node.value != commit.code) {
-              console.log("Replacing code: " + commit.message);
-              node.value = commit.code;
+            if (node.value != commitFile.code && !isCodeKept) {
+              log("Replacing code: " + commit.message);
+              node.value = commitFile.code;
             }
 
             let l = 1;
-            let lineMap = new Map(commit.code.split("\n").map((e) => [l++, e]));
+            let lineMap = new Map(
+              commitFile.code.split("\n").map((e) => [l++, e]),
+            );
+            const codeLines = node.value.split("\n");
+
+            // The line of the code block that each line of the commit is
+            // shown on, past the removed lines that the code block shows
+            const blockLineNumbers = codeLines
+              .map((_, index) => index + 1)
+              .filter(
+                (line) => !isCodeKept || !meta.removedLines.includes(line),
+              );
+            const toBlockLine = (line) =>
+              line == 0 ? 0 : blockLineNumbers[line - 1];
 
             // Modify the highlight string in mdx node meta
-            //console.log(commit.diffRanges);
+            //console.log(commitFile.diffRanges);
             const MODIFY_HIGHLIGHT_META = true;
             const PREFER_NEWLINE_UPFRONT = true;
+            const HIGHLIGHT_CHANGED_WORDS = true;
             if (MODIFY_HIGHLIGHT_META) {
-              // Build highlight string
-              let hiStr = "{";
+              const hiRanges = [];
+              const wordNumbers = new Map(); // word -> occurrence numbers
+              const removedAfter = [];
+
+              // Highlight only the changed words of a modified line, if the
+              // edit is small. Returns false if the line has to be
+              // highlighted as a whole.
+              const highlightChangedWords = (lineNumber, oldLine, newLine) => {
+                const runs = diffWords(oldLine, newLine);
+                if (!runs) {
+                  return false;
+                }
 
-              let first = true;
-              for (const diffRange of commit.diffRanges) {
-                if (first) {
-                  first = false;
-                } else {
-                  hiStr += ",";
+                const numbers = runs.map((run) =>
+                  findOccurrenceNumber(
+                    codeLines,
+                    toBlockLine(lineNumber) - 1,
+                    run.start,
+                    run.text,
+                  ),
+                );
+                // A word inside another highlighted word is not counted
+                // where the other one is highlighted
+                const words = [
+                  ...wordNumbers.keys(),
+                  ...runs.map((run) => run.text),
+                ];
+                const isNested = runs.some((run) =>
+                  words.some(
+                    (word) =>
+                      word != run.text &&
+                      (word.includes(run.text) || run.text.includes(word)),
+                  ),
+                );
+                if (numbers.includes(null) || isNested) {
+                  return false;
                 }
 
+                runs.forEach((run, index) => {
+                  if (!wordNumbers.has(run.text)) {
+                    wordNumbers.set(run.text, []);
+                  }
+                  wordNumbers.get(run.text).push(numbers[index]);
+                });
+                return true;
+              };
+
+              for (const diffRange of commitFile.diffRanges) {
                 if (diffRange.count2 == 0) {
                   // No insert, remove only (not very common)
-                  //console.log(
-                  //  "remove only: ",
-                  //  commit.filename,
-                  //  commit.message,
-                  //  diffRange.start2,
-                  //  diffRange.count1,
-                  //);
-                  let lineAbove = diffRange.start2; // Line above the remove block
-                  let lineBelow = diffRange.start2 + 1; // Line below the remove block
-
-                  let lineAboveStr = lineMap.get(lineAbove);
-                  let lineBelowStr = lineMap.get(lineBelow);
-
-                  if (lineAboveStr == "" && lineBelowStr != "") {
-                    // One of the lines is blank, highlight the blank
-                    hiStr += lineAbove.toString();
-                  } else if (lineAboveStr != "" && lineBelowStr == "") {
-                    // One of the lines is blank, highlight the blank
-                    hiStr += lineBelow.toString();
-                  } else {
-                    // Both of the lines are not blank, highlight the both lines
-                    // Todo: better to show removed lines directly
-                    hiStr += lineAbove.toString() + "-" + lineBelow.toString();
+                  // Annotate the line above the removed lines (0 if the
+                  // lines were removed from the top)
+                  removedAfter.push(diffRange.start2);
+                } else if (
+                  HIGHLIGHT_CHANGED_WORDS &&
+                  diffRange.count1 == diffRange.count2 &&
+                  diffRange.addedLines.length == diffRange.count2 &&
+                  diffRange.addedLines.some((line, index) =>
+                    diffWords(diffRange.removedLines[index], line),
+                  )
+                ) {
+                  // Modified lines, some of them with small edits
+                  let hiStart = null;
+                  for (let i = 0; i < diffRange.count2; i++) {
+                    const lineNumber = diffRange.start2 + i;
+                    const isWordHighlighted = highlightChangedWords(
+                      lineNumber,
+                      diffRange.removedLines[i],
+                      diffRange.addedLines[i],
+                    );
+
+                    if (!isWordHighlighted && hiStart == null) {
+                      hiStart = lineNumber;
+                    }
+                    if (
+                      hiStart != null &&
+                      (isWordHighlighted || i == diffRange.count2 - 1)
+                    ) {
+                      const hiEnd = isWordHighlighted
+                        ? lineNumber - 1
+                        : lineNumber;
+                      hiRanges.push([hiStart, hiEnd]);
+                      hiStart = null;
+                    }
                   }
                 } else if (diffRange.count2 == 1) {
                   // Insert one line
-                  hiStr += diffRange.start2.toString();
+                  hiRanges.push([diffRange.start2, diffRange.start2]);
                 } else {
                   // Insert multiple lines
                   let hiStart = diffRange.start2;
@@ -263,62 +395,137 @@ const importCodeFromGitToMdx = async (importSpecs) => {
                       hiEnd -= 1;
                     }
                   }
-                  hiStr += hiStart.toString();
-                  hiStr += "-";
-                  hiStr += hiEnd.toString();
+                  hiRanges.push([hiStart, hiEnd]);
                 }
               }
 
-              hiStr += "}";
+              // Build highlight string, e.g. {1,3-5} /word/2,4, with the lines
+              // of the code block, where a range is split by the removed
+              // lines that the code block shows
+              const blockRanges = [];
+              for (const [start, end] of hiRanges) {
+                for (let line = start; line <= end; line++) {
+                  const blockLine = toBlockLine(line);
+                  const lastRange = blockRanges[blockRanges.length - 1];
+                  if (line > start && lastRange[1] == blockLine - 1) {
+                    lastRange[1] = blockLine;
+                  } else {
+                    blockRanges.push([blockLine, blockLine]);
+                  }
+                }
+              }
+              let hiStr = "";
+              if (blockRanges.length) {
+                hiStr =
+                  "{" +
+                  blockRanges
+                    .map(([start, end]) =>
+                      start == end ? `${start}` : `${start}-${end}`,
+                    )
+                    .join(",") +
+                  "}";
+              }
+              for (const [word, numbers] of wordNumbers) {
+                hiStr += ` /${word}/${numbers.join(",")}`;
+              }
+              if (removedAfter.length) {
+                hiStr += ` removedAfter="${removedAfter
+                  .map(toBlockLine)
+                  .join(",")}"`;
+              }
+              hiStr = hiStr.trim();
 
               //console.log(hiStr);
 
               // Replace the original string
-              const updateHiStrInMdxNodeMeta = (hiStr, node) => {
-                let regex = /{.*}/;
-                let meta = node.meta;
-                if (meta.match(regex)) {
-                  meta = meta.replace(regex, hiStr);
-                } else {
-                  meta = meta.trimEnd();
-                  meta += " " + hiStr;
-                  console.log(meta);
-                }
-
-                if (meta != node.meta) {
-                  console.log("old meta:", node.meta);
-                  console.log("new meta:", meta);
-                  node.meta = meta;
-                }
-              };
+              const newMeta = updateHighlightMeta(
+                node.meta,
+                hiStr,
+                node.value != oldValue,
+              );
+              if (newMeta != node.meta) {
+                log("old meta:", node.meta);
+                log("new meta:", newMeta);
+                node.meta = newMeta;
+              }
+            }
 
-              updateHiStrInMdxNodeMeta(hiStr, node);
+            if (node.value != oldValue || node.meta != oldMeta) {
+              edits.push({
+                start: node.position.start.offset,
+                end: node.position.end.offset,
+                text: formatCodeNode(doc, node, oldValue, oldMeta),
+              });
+
+              const fence = "```" + node.lang + " ";
+              drifts.push({
+                filename,
+                lang,
+                title: meta.title,
+                diff: createUnifiedDiff(
+                  fence + oldMeta + "\n" + oldValue,
+                  fence + node.meta + "\n" + node.value,
+                  `${filename} (${lang}: ${meta.title})`,
+                ),
+              });
             }
           }
         });
       };
 
-      const file = unified()
+      const processor = unified()
         .use(remarkParse)
         .use(remarkConfig)
-        .use(plugin)
-        .use(remarkStringify)
-        .processSync(doc);
-
-      //console.log(String(file));
-      fs.writeFileSync(filename, String(file));
+        .use(plugin);
+      processor.runSync(processor.parse(doc));
+
+      // Files without listing changes are left untouched
+      if (!check && edits.length) {
+        let newDoc = doc;
+        for (const edit of edits.reverse()) {
+          newDoc =
+            newDoc.slice(0, edit.start) + edit.text + newDoc.slice(edit.end);
+        }
+        fs.writeFileSync(filename, newDoc);
+      }
     }
 
-    console.log("Done!");
+    log("Done!");
   }
+
+  return drifts;
 };
 
 const main = async () => {
-  const importSpecs = [];
-  importSpecs.push("rust" + ":" + __dirname + "/../code/rust");
-  importSpecs.push("cpp" + ":" + __dirname + "/../code/cpp");
-
-  await importCodeFromGitToMdx(importSpecs);
+  program.option(
+    "--check",
+    "report listings that are out of sync with the code without writing",
+  );
+  program.parse();
+  const opts = program.opts();
+
+  const importSpecs = LANGS.map(
+    (lang) => lang + ":" + __dirname + "/../code/" + lang,
+  );
+
+  const drifts = await importCodeFromGitToMdx(importSpecs, opts);
+
+  if (opts.check) {
+    for (const drift of drifts) {
+      console.log(drift.diff);
+    }
+    if (drifts.length) {
+      console.log(
+        `Error: ${drifts.length} listings are out of sync with the code ` +
+          "(run the import without --check to update them)",
+      );
+      process.exit(1);
+    }
+    console.log("All listings are in sync with the code");
+  }
 };
 
-main();
+// The tests import the script without running it
+if (process.argv[1] == __filename) {
+  main();
+}
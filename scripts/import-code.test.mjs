@@ -0,0 +1,117 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+
+import { simpleGit } from "simple-git";
+
+import { importCodeFromGitToMdx } from "./import-code.mjs";
+
+// A page with the listings of a git repository, in a temporary directory that
+// the import is run in
+const createProject = async (listings, page) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "import-code-"));
+  const repoPath = path.join(dir, "code", "rust");
+  fs.mkdirSync(path.join(repoPath, "src"), { recursive: true });
+  fs.mkdirSync(path.join(dir, "pages"));
+  fs.writeFileSync(path.join(dir, "pages", "1-test.mdx"), page);
+
+  const git = simpleGit(repoPath);
+  await git.init();
+  await git.addConfig("user.name", "test");
+  await git.addConfig("user.email", "test@example.com");
+  for (const [title, code] of listings) {
+    fs.writeFileSync(path.join(repoPath, "src", "main.rs"), code + "\n");
+    await git.add(".");
+    await git.commit("Listing: " + title);
+  }
+  return { dir, importSpecs: ["rust:" + repoPath] };
+};
+
+const runInDir = async (dir, run) => {
+  const cwd = process.cwd();
+  process.chdir(dir);
+  try {
+    return await run();
+  } finally {
+    process.chdir(cwd);
+  }
+};
+
+test("finds no drift right after an import", async () => {
+  const { dir, importSpecs } = await createProject(
+    [
+      [
+        "First",
+        'fn main() {\n    let samples = 10;\n    println!("{}", 1);\n}',
+      ],
+      [
+        "Second",
+        'fn main() {\n    let samples = 100;\n    println!("{}", 1);\n    println!("{samples}");\n}',
+      ],
+    ],
+    [
+      '```rust filename="main.rs | First"',
+      "fn main() {}",
+      "```",
+      "",
+      '```rust filename="main.rs | Second" /10/1 genImage',
+      "fn main() {}",
+      "```",
+      "",
+    ].join("\n"),
+  );
+
+  try {
+    await runInDir(dir, async () => {
+      const drifts = await importCodeFromGitToMdx(importSpecs);
+      assert.deepEqual(
+        drifts.map((drift) => drift.title),
+        ["First", "Second"],
+      );
+      assert.match(
+        fs.readFileSync("pages/1-test.mdx", "utf8"),
+        /filename="main.rs \| Second" \{4\} \/100\/1 genImage\n/,
+      );
+
+      assert.deepEqual(
+        await importCodeFromGitToMdx(importSpecs, { check: true }),
+        [],
+      );
+    });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("leaves the meta of listings that are in sync as it is", async () => {
+  const first = "fn main() {\n    let samples = 10;\n}";
+  const second = "fn main() {\n    let samples = 100;\n}";
+  const page = [
+    '```rust filename="main.rs | First" {1-3}',
+    first,
+    "```",
+    "",
+    '```rust filename="main.rs | Second" /100/1 genImage',
+    second,
+    "```",
+    "",
+  ].join("\n");
+  const { dir, importSpecs } = await createProject(
+    [
+      ["First", first],
+      ["Second", second],
+    ],
+    page,
+  );
+
+  try {
+    await runInDir(dir, async () => {
+      assert.deepEqual(await importCodeFromGitToMdx(importSpecs), []);
+      assert.equal(fs.readFileSync("pages/1-test.mdx", "utf8"), page);
+    });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,44 @@
+import fs from "node:fs";
+import path from "node:path";
+
+export const LINT_ALLOWLIST_FILENAME = "scripts/lint-allowlist.json";
+
+// Parse "file:line:col: warning: message" lines, as printed by clippy (with
+// --message-format=short) and clang-tidy.
+// Warnings are keyed by file and message only, so that a warning keeps its
+// key when later listings move it to another line.
+export const parseWarnings = (output, base) => {
+  const warnings = new Set();
+
+  for (const m of output.matchAll(/^(\S+?):\d+:\d+: (warning: .*)$/gm)) {
+    const filename = path.relative(
+      path.resolve(base),
+      path.resolve(base, m[1]),
+    );
+    warnings.add(`${filename}: ${m[2]}`);
+  }
+
+  return [...warnings].sort();
+};
+
+// The allowlist holds the warnings that are accepted, together with the
+// listing that introduced them: [{ lang, title, warning }]
+export const readLintAllowlist = () => {
+  if (!fs.existsSync(LINT_ALLOWLIST_FILENAME)) {
+    return [];
+  }
+  return JSON.parse(fs.readFileSync(LINT_ALLOWLIST_FILENAME, "utf8"));
+};
+
+export const writeLintAllowlist = (allowlist) => {
+  fs.writeFileSync(
+    LINT_ALLOWLIST_FILENAME,
+    JSON.stringify(allowlist, null, 2) + "\n",
+  );
+};
+
+export const isWarningAllowed = (allowlist, lang, title, warning) =>
+  allowlist.some(
+    (entry) =>
+      entry.lang == lang && entry.title == title && entry.warning == warning,
+  );
@@ -0,0 +1,61 @@
+// The highlighted words that the import writes, e.g. /word/2,4: a word with
+// the numbers of the occurrences that changed. Words written by hand, with an
+// #id or without occurrence numbers, are not matched.
+const IMPORTED_WORD = String.raw`\/[^/]*\/[\d,]+(?=\s|$)`;
+
+// Replace the highlighted lines and words of the last import in the meta
+// string of a code block with hiStr, e.g. {1,3-5} /word/2,4. The removed lines
+// of the last import are removed too, and if the code changed, so are the
+// added and removed lines and fold regions written by hand, which no longer
+// match the code. hiStr is written where the first of them was, or else at the
+// end, so that importing again leaves the meta as it is.
+export const updateHighlightMeta = (meta, hiStr, isCodeChanged = true) => {
+  const parts = [String.raw`{[^}]*}`, IMPORTED_WORD, `removedAfter="[^"]*"`];
+  if (isCodeChanged) {
+    parts.push(`(?:added|removed)="[^"]*"`, String.raw`fold=\{[^}]*\}`);
+  }
+  const regex = new RegExp(String.raw`(^|\s)(?:${parts.join("|")})`, "g");
+
+  let isWritten = false;
+  const newMeta = meta.replace(regex, (_, space) => {
+    if (isWritten || !hiStr) {
+      return "";
+    }
+    isWritten = true;
+    return space + hiStr;
+  });
+  if (!isWritten && hiStr) {
+    return newMeta.trimEnd() + " " + hiStr;
+  }
+  return newMeta;
+};
+
+// Markdown removes a backslash before ASCII punctuation in the meta string of
+// a code block, e.g. r/f\\(x\\)/ is r/f\(x\)/ in node.meta, so the meta is
+// escaped again to write it back
+const escapeMeta = (meta) => meta.replace(/\\(?=[!-/:-@[-`{-~])/g, "\\\\");
+
+// Rewrite a code block in the original MDX text, keeping the text around it,
+// the fences and the indentation as they are. The meta string is written
+// after the fence and the language of the first line.
+export const formatCodeNode = (doc, node, oldValue, oldMeta) => {
+  const { start, end } = node.position;
+  const lines = doc.slice(start.offset, end.offset).split("\n");
+
+  // The fence is indented when it is inside JSX, e.g. <Tab>
+  const indent = doc.slice(start.offset - (start.column - 1), start.offset);
+
+  if (node.meta != oldMeta) {
+    const [fence] = lines[0].match(/^(`{3,}|~{3,})[ \t]*[^\s`]*/);
+    lines[0] = node.meta ? fence + " " + escapeMeta(node.meta) : fence;
+  }
+
+  if (node.value != oldValue) {
+    const body = node.value
+      .split("\n")
+      .map((line) => (line ? indent + line : line));
+    lines.splice(1, lines.length - 2, ...body);
+  }
+
+  return lines.join("\n");
+};
@@ -0,0 +1,83 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import remarkParse from "remark-parse";
+import { unified } from "unified";
+
+import remarkConfig from "../.remarkrc.mjs";
+import { formatCodeNode, updateHighlightMeta } from "./listing-meta.mjs";
+
+test("replaces the highlighted lines and words of the last import", () => {
+  assert.equal(
+    updateHighlightMeta(
+      'filename="main.rs | Title" {1-2} /foo/1,3 removedAfter="4"',
+      "{5} /bar/2",
+    ),
+    'filename="main.rs | Title" {5} /bar/2',
+  );
+});
+
+test("keeps the words highlighted by hand", () => {
+  assert.equal(
+    updateHighlightMeta(
+      'filename="main.rs | Title" {1-2} /foo/1 /t_min/#a /hit/',
+      "{3}",
+    ),
+    'filename="main.rs | Title" {3} /t_min/#a /hit/',
+  );
+});
+
+test("adds the highlighted lines to a meta without them", () => {
+  assert.equal(
+    updateHighlightMeta('filename="main.rs | Title" genImage', "{3}"),
+    'filename="main.rs | Title" genImage {3}',
+  );
+});
+
+test("writes the highlights where the last import wrote them", () => {
+  const meta = 'filename="main.rs | Change field of view" /20/1 genImage';
+  assert.equal(updateHighlightMeta(meta, "/20/1"), meta);
+  assert.equal(
+    updateHighlightMeta(meta, "{3} /30/1"),
+    'filename="main.rs | Change field of view" {3} /30/1 genImage',
+  );
+  assert.equal(
+    updateHighlightMeta('filename="main.rs | Title" {1} genImage /a/2', "{2}"),
+    'filename="main.rs | Title" {2} genImage',
+  );
+});
+
+test("keeps the lines and folds written by hand while the code is kept", () => {
+  const meta = 'filename="main.rs | Title" {2} removed="3" fold={5-9}';
+  assert.equal(
+    updateHighlightMeta(meta, "{4}", false),
+    'filename="main.rs | Title" {4} removed="3" fold={5-9}',
+  );
+  assert.equal(
+    updateHighlightMeta(meta, "{4}", true),
+    'filename="main.rs | Title" {4}',
+  );
+});
+
+test("writes the meta with the backslashes that markdown removes", () => {
+  const doc = [
+    '```rust filename="main.rs | Title" {1} r/Arc::new\\\\([^)]*\\\\)/#a',
+    "let a = Arc::new(1);",
+    "```",
+  ].join("\n");
+  const [node] = unified()
+    .use(remarkParse)
+    .use(remarkConfig)
+    .parse(doc).children;
+  const oldMeta = node.meta;
+  assert.equal(
+    oldMeta,
+    'filename="main.rs | Title" {1} r/Arc::new\\([^)]*\\)/#a',
+  );
+
+  node.meta = updateHighlightMeta(oldMeta, "{2}");
+  assert.equal(
+    formatCodeNode(doc, node, node.value, oldMeta),
+    doc.replace("{1}", "{2}"),
+  );
+});
@@ -0,0 +1,65 @@
+import fs from "node:fs";
+
+// A step record looks like:
+// { lang, title, mdxFilename, step, status, exitCode, stderr }
+// where status is "passed", "failed" or "skipped"
+
+export const writeJsonReport = (filename, records) => {
+  fs.writeFileSync(filename, JSON.stringify(records, null, 2) + "\n");
+};
+
+const escapeXml = (str) =>
+  String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    // Control characters (e.g. ANSI colors) are not allowed in XML 1.0
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, "");
+
+// One test suite per language, and one test case per listing step
+export const writeJunitReport = (filename, records) => {
+  const recordsByLang = {};
+  for (const record of records) {
+    if (!(record.lang in recordsByLang)) {
+      recordsByLang[record.lang] = [];
+    }
+    recordsByLang[record.lang].push(record);
+  }
+
+  let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+  xml += "<testsuites>\n";
+
+  for (const lang in recordsByLang) {
+    const langRecords = recordsByLang[lang];
+    const count = (status) =>
+      langRecords.filter((record) => record.status == status).length;
+
+    xml +=
+      `  <testsuite name="${escapeXml(lang)}" tests="${langRecords.length}"` +
+      ` failures="${count("failed")}" skipped="${count("skipped")}">\n`;
+
+    for (const record of langRecords) {
+      xml +=
+        `    <testcase classname="${escapeXml(record.mdxFilename)}"` +
+        ` name="${escapeXml(`${record.title} (${record.step})`)}">\n`;
+
+      if (record.status == "failed") {
+        xml +=
+          `      <failure message="exit code ${record.exitCode}">` +
+          `${escapeXml(record.stderr)}</failure>\n`;
+      } else if (record.status == "skipped") {
+        xml += "      <skipped/>\n";
+      }
+
+      xml += "    </testcase>\n";
+    }
+
+    xml += "  </testsuite>\n";
+  }
+
+  xml += "</testsuites>\n";
+
+  fs.writeFileSync(filename, xml);
+};
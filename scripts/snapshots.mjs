@@ -0,0 +1,170 @@
+import fs from "node:fs";
+
+import { simpleGit } from "simple-git";
+
+import { LANGS } from "../lib/languages.mjs";
+import { getListingSlug } from "../lib/listings.mjs";
+
+export const SNAPSHOTS_FOLDER = "data/code";
+
+// Find the commit of every listing in an exported repository
+export const getListingCommits = async (base) => {
+  const git = simpleGit(base);
+  const commitByTitle = {};
+  for (const commit of (await git.log()).all) {
+    const m = commit.message.match(/^Listing: (.*)$/);
+    if (m) {
+      commitByTitle[m[1]] = commit.hash;
+    }
+  }
+  return commitByTitle;
+};
+
+// List the files of the project at a commit, as [{ filename, blob }]
+export const getCommitFiles = async (base, commit) => {
+  const git = simpleGit(base);
+  const output = await git.raw(["ls-tree", "-r", commit]);
+  return output
+    .split("\n")
+    .map((line) => line.match(/^\d+ blob (\w+)\t(.*)$/))
+    .filter((m) => m)
+    .map(([, blob, filename]) => ({ filename, blob }));
+};
+
+// Write every file of the project as it is right after each listing to
+// data/code/<lang>.json, for the "view full file" pages.
+// Most files don't change from one listing to the next, so the contents are
+// stored once per git blob: { listings: [{ slug, title, mdxFilename,
+// files: [{ filename, blob }] }], blobs: { [blob]: content } }
+export const writeListingSnapshots = async (lang, listings, base) => {
+  const git = simpleGit(base);
+  const commitByTitle = await getListingCommits(base);
+
+  const snapshots = { listings: [], blobs: {} };
+  const slugs = new Set();
+
+  for (const listing of listings) {
+    const commit = commitByTitle[listing.title];
+    if (!commit) {
+      throw new Error(`[${lang}] No commit for listing: ${listing.title}`);
+    }
+
+    const slug = getListingSlug(listing.title);
+    if (slugs.has(slug)) {
+      throw new Error(`[${lang}] Duplicate listing slug: ${slug}`);
+    }
+    slugs.add(slug);
+
+    const files = [];
+    for (const file of await getCommitFiles(base, commit)) {
+      if (!(file.blob in snapshots.blobs)) {
+        const content = await git.catFile(["blob", file.blob]);
+        // Leave out binary files
+        if (content.includes("\0")) {
+          continue;
+        }
+        snapshots.blobs[file.blob] = content;
+      }
+      files.push(file);
+    }
+
+    snapshots.listings.push({
+      slug,
+      title: listing.title,
+      mdxFilename: listing.mdxFilename,
+      files,
+    });
+  }
+
+  fs.mkdirSync(SNAPSHOTS_FOLDER, { recursive: true });
+  fs.writeFileSync(
+    `${SNAPSHOTS_FOLDER}/${lang}.json`,
+    JSON.stringify(snapshots, null, 2) + "\n",
+  );
+  writeSnapshotIndex(
+    lang,
+    snapshots.listings.map((listing) => listing.slug),
+  );
+};
+
+export const SNAPSHOT_INDEX_FILENAME = SNAPSHOTS_FOLDER + "/snapshots.json";
+
+// List the slugs of the listings that have a snapshot page, by language, for
+// the title bars of the listings to link only to those: { [lang]: [slug] }.
+// The lists of the other languages are kept from the last export.
+const writeSnapshotIndex = (lang, slugs) => {
+  const lastIndex = fs.existsSync(SNAPSHOT_INDEX_FILENAME)
+    ? JSON.parse(fs.readFileSync(SNAPSHOT_INDEX_FILENAME, "utf8"))
+    : {};
+  const index = { ...lastIndex, [lang]: slugs };
+  fs.writeFileSync(
+    SNAPSHOT_INDEX_FILENAME,
+    JSON.stringify(
+      Object.fromEntries(
+        LANGS.filter((lang) => lang in index).map((lang) => [
+          lang,
+          index[lang],
+        ]),
+      ),
+      null,
+      2,
+    ) + "\n",
+  );
+};
+
+export const DOWNLOADS_FILENAME = SNAPSHOTS_FOLDER + "/downloads.json";
+
+// Pick the listing that each chapter ends at, for the per-chapter project
+// downloads: { [route]: { [lang]: { listing, filename } } }.
+// A chapter without listings of a language ends at the last listing of the
+// chapters before it. The downloads of the languages that are not given, e.g.
+// because their export failed, are kept from the last export.
+export const writeChapterDownloads = (listingsByLang, mdxFilenames) => {
+  const lastDownloads = fs.existsSync(DOWNLOADS_FILENAME)
+    ? JSON.parse(fs.readFileSync(DOWNLOADS_FILENAME, "utf8"))
+    : {};
+  const downloads = {};
+  for (const [route, downloadsByLang] of Object.entries(lastDownloads)) {
+    for (const [lang, download] of Object.entries(downloadsByLang)) {
+      if (!(lang in listingsByLang)) {
+        downloads[route] ??= {};
+        downloads[route][lang] = download;
+      }
+    }
+  }
+
+  for (const [lang, listings] of Object.entries(listingsByLang)) {
+    let lastListing = null;
+    for (const mdxFilename of mdxFilenames) {
+      lastListing =
+        listings.findLast((listing) => listing.mdxFilename == mdxFilename) ??
+        lastListing;
+      if (!lastListing) {
+        continue;
+      }
+
+      const route = mdxFilename.replace(/^pages/, "").replace(/\.mdx$/, "");
+      downloads[route] ??= {};
+      downloads[route][lang] = {
+        listing: getListingSlug(lastListing.title),
+        filename: `ray-tracing-${lang}${route.replaceAll("/", "-")}.zip`,
+      };
+    }
+  }
+
+  // The languages of a chapter in the order of the tabs
+  for (const [route, downloadsByLang] of Object.entries(downloads)) {
+    downloads[route] = Object.fromEntries(
+      LANGS.filter((lang) => lang in downloadsByLang).map((lang) => [
+        lang,
+        downloadsByLang[lang],
+      ]),
+    );
+  }
+
+  fs.mkdirSync(SNAPSHOTS_FOLDER, { recursive: true });
+  fs.writeFileSync(
+    DOWNLOADS_FILENAME,
+    JSON.stringify(downloads, null, 2) + "\n",
+  );
+};
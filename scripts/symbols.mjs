@@ -0,0 +1,263 @@
+import { getChapterHref, getListingAnchor } from "../lib/listings.mjs";
+
+// The lines of a definition shown when pointing at a link to it
+const PREVIEW_LINES = 8;
+
+// Shorter names, e.g. the x() of Vec3, are mostly variables elsewhere
+const MIN_NAME_LENGTH = 3;
+
+const RUST_ITEM_REGEX =
+  /^\s*(?:pub(?:\([^)]*\))?\s+)?(?:(?:const|async|unsafe)\s+)*(fn|struct|enum|trait|type)\s+([A-Za-z_]\w*)/;
+const RUST_CONST_REGEX =
+  /^\s*(?:pub(?:\([^)]*\))?\s+)?(const|static)\s+([A-Za-z_]\w*)\s*:/;
+const RUST_IMPL_REGEX =
+  /^\s*impl\b(?:\s*<[^>]*>)?\s+(?:([\w:]+)(?:<[^>]*>)?\s+for\s+)?([A-Za-z_]\w*)/;
+
+const CPP_CLASS_REGEX = /^\s*(class|struct)\s+([A-Za-z_]\w*)(?![^;{]*;)/;
+const CPP_USING_REGEX = /^\s*(using)\s+([A-Za-z_]\w*)\s*=/;
+const CPP_FUNCTION_REGEX =
+  /^\s*(?:(?:inline|static|virtual|constexpr|explicit)\s+)*(?:const\s+)?(?!(?:return|else|new|delete|case|throw|using)\b)[A-Za-z_][\w:<>,]*\s*[*&]*\s+[*&]*(?:([A-Za-z_]\w*)::)?([A-Za-z_]\w*)\s*\(/;
+
+// How to find the items of a language on a line that starts one: the kind
+// and name of the item, and for Rust impl blocks, the type they are for.
+// Containers hold member functions, and a member that overrides one of a
+// trait or base class is not a symbol of its own.
+const ITEM_PARSERS = {
+  rust: {
+    containers: ["impl", "trait"],
+    parseLine: (line, container) => {
+      let m = line.match(RUST_IMPL_REGEX);
+      if (m && !container) {
+        return { kind: "impl", name: m[2], isTraitImpl: !!m[1] };
+      }
+      m = line.match(RUST_ITEM_REGEX) ?? line.match(RUST_CONST_REGEX);
+      if (m && (!container || m[1] == "fn")) {
+        return { kind: m[1], name: m[2] };
+      }
+      return null;
+    },
+    isOverride: (item, container) => container.isTraitImpl,
+  },
+  cpp: {
+    containers: ["class", "struct"],
+    parseLine: (line, container) => {
+      let m = container ? null : line.match(CPP_CLASS_REGEX);
+      m ??= container ? null : line.match(CPP_USING_REGEX);
+      if (m) {
+        return { kind: m[1], name: m[2] };
+      }
+      m = line.match(CPP_FUNCTION_REGEX);
+      if (m && (!container || !m[1])) {
+        return { kind: "function", name: m[2], className: m[1] };
+      }
+      return null;
+    },
+    isOverride: (item) => /\boverride\b/.test(item.text),
+  },
+};
+
+// A line without its comments and string and character literals, so that the
+// brackets in them are not counted
+const stripLine = (line) =>
+  line
+    .replace(/"(?:\\.|[^"\\])*"/g, '""')
+    .replace(/'(?:\\.|[^'\\])'/g, "''")
+    .replace(/\/\/.*$/, "");
+
+// Find the items that a file defines, at the top level and as members of
+// containers (impl blocks, traits and classes), as
+// [{ kind, name, container, start, end, text }]
+const parseItems = (lang, code) => {
+  const parser = ITEM_PARSERS[lang];
+  const lines = code.split("\n");
+  const items = [];
+
+  // The items that have started and not ended yet, outermost first
+  const open = [];
+  let braceDepth = 0;
+  let parenDepth = 0;
+
+  const closeItem = (end) => {
+    const item = open.pop();
+    item.end = end;
+    item.text = lines.slice(item.start, end + 1).join("\n");
+    items.push(item);
+  };
+
+  lines.forEach((line, index) => {
+    const top = open[open.length - 1];
+    const container =
+      top && top.opened && parser.containers.includes(top.kind) ? top : null;
+
+    // Items start at the top level, or right inside a container
+    if (braceDepth == (container ? container.depth + 1 : 0)) {
+      const item = parser.parseLine(line, container);
+      if (item) {
+        open.push({
+          ...item,
+          container,
+          start: index,
+          depth: braceDepth,
+          opened: false,
+        });
+      }
+    }
+
+    for (const char of stripLine(line)) {
+      const item = open[open.length - 1];
+      if (char == "(" || char == "[") {
+        parenDepth++;
+      } else if (char == ")" || char == "]") {
+        parenDepth--;
+      } else if (char == "{") {
+        if (item && !item.opened && braceDepth == item.depth) {
+          item.opened = true;
+        }
+        braceDepth++;
+      } else if (char == "}") {
+        braceDepth--;
+        if (item && item.opened && braceDepth == item.depth) {
+          closeItem(index);
+        }
+      } else if (char == ";") {
+        // A declaration without a body, e.g. `type Point3 = Vec3;`
+        if (
+          item &&
+          !item.opened &&
+          parenDepth == 0 &&
+          braceDepth == item.depth
+        ) {
+          closeItem(index);
+        }
+      }
+    }
+  });
+
+  return items;
+};
+
+// The lines of a definition, without the indentation they have in common
+const getPreview = (text) => {
+  let lines = text.split("\n");
+  const indent = Math.min(
+    ...lines
+      .filter((line) => line.trim())
+      .map((line) => line.match(/^\s*/)[0].length),
+  );
+  lines = lines.map((line) => line.slice(indent));
+  if (lines.length > PREVIEW_LINES) {
+    lines = [...lines.slice(0, PREVIEW_LINES), "..."];
+  }
+  return lines.join("\n");
+};
+
+// Resolve every name that the files of a project define to its definition:
+// { [name]: { kind, filename, preview, text } }, where text also covers the
+// impl blocks of a type, so that a change to them counts as a change of the
+// type. Top-level items come before members, and a name with more than one
+// definition of the same rank is ambiguous (null).
+const resolveDefinitions = (lang, files) => {
+  const parser = ITEM_PARSERS[lang];
+  const definitionsByName = {};
+  const implTexts = {};
+
+  for (const [filename, code] of Object.entries(files)) {
+    for (const item of parseItems(lang, code)) {
+      if (item.kind == "impl") {
+        implTexts[item.name] = (implTexts[item.name] ?? "") + item.text;
+        continue;
+      }
+      if (item.container && parser.isOverride(item, item.container)) {
+        continue;
+      }
+      const rank = item.container || item.className ? 1 : 2;
+      (definitionsByName[item.name] ??= []).push({ ...item, filename, rank });
+    }
+  }
+
+  const resolved = {};
+  for (const [name, definitions] of Object.entries(definitionsByName)) {
+    const rank = Math.max(...definitions.map((d) => d.rank));
+    const best = definitions.filter((d) => d.rank == rank);
+    const places = new Set(
+      best.map(
+        (d) => `${d.filename} ${d.container?.name ?? d.className ?? ""}`,
+      ),
+    );
+    if (places.size > 1) {
+      resolved[name] = null;
+      continue;
+    }
+    const [first] = best;
+    resolved[name] = {
+      kind: first.kind,
+      filename: first.filename,
+      preview: getPreview(first.text),
+      text: best.map((d) => d.text).join("\n") + (implTexts[name] ?? ""),
+    };
+  }
+  return resolved;
+};
+
+// Walk the listings of a language in order, and record the listing where
+// each item is first defined, and every listing that changes it afterwards:
+// { listings: [title], symbols: { [name]: [{ listing, title, kind, href,
+// preview }] } }, where listing is the index of the listing in listings.
+// A name that is ambiguous at any listing is left out.
+export const getSymbolHistory = (lang, listings) => {
+  if (!(lang in ITEM_PARSERS)) {
+    return null;
+  }
+
+  const files = {};
+  const lastTexts = {};
+  const ambiguous = new Set();
+  const symbols = {};
+
+  listings.forEach((listing, index) => {
+    for (const file of listing.files) {
+      files[file.filename] = file.code;
+    }
+
+    for (const [name, definition] of Object.entries(
+      resolveDefinitions(lang, files),
+    )) {
+      if (name.length < MIN_NAME_LENGTH) {
+        continue;
+      }
+      if (!definition) {
+        ambiguous.add(name);
+        continue;
+      }
+      if (lastTexts[name] == definition.text) {
+        continue;
+      }
+      lastTexts[name] = definition.text;
+
+      // Link to the code block of the file with the definition, or the first
+      // code block of the listing if the listing didn't change that file
+      const filename = listing.files.some(
+        (file) => file.filename == definition.filename,
+      )
+        ? definition.filename
+        : listing.files[0].filename;
+      (symbols[name] ??= []).push({
+        listing: index,
+        title: listing.title,
+        kind: definition.kind,
+        href: `${getChapterHref(listing.mdxFilename)}#${getListingAnchor(
+          lang,
+          listing.title,
+          filename,
+        )}`,
+        preview: definition.preview,
+      });
+    }
+  });
+
+  for (const name of ambiguous) {
+    delete symbols[name];
+  }
+
+  return { listings: listings.map((listing) => listing.title), symbols };
+};
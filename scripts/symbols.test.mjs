@@ -0,0 +1,287 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { getSymbolHistory } from "./symbols.mjs";
+
+const listing = (title, files) => ({
+  title,
+  mdxFilename: "pages/1-test.mdx",
+  files: Object.entries(files).map(([filename, code]) => ({ filename, code })),
+});
+
+// The kinds of the symbols of one listing by name, as "kind@listing"
+const getSymbols = (lang, files) => {
+  const { symbols } = getSymbolHistory(lang, [listing("Listing", files)]);
+  return Object.fromEntries(
+    Object.entries(symbols).map(([name, entries]) => [
+      name,
+      entries.map((entry) => `${entry.kind}@${entry.listing}`).join(" "),
+    ]),
+  );
+};
+
+test("finds the top-level items of a Rust file", () => {
+  const code = `use std::ops::Add;
+
+pub type Point3 = Vec3;
+const ASPECT_RATIO: f64 = 16.0 / 9.0;
+pub(crate) static SAMPLES: u32 = 100;
+
+#[derive(Clone, Copy)]
+pub struct Vec3 {
+    e: [f64; 3],
+}
+
+pub enum Material {
+    Lambertian { albedo: Color },
+    Metal(Color),
+}
+
+pub trait Hittable {
+    fn hit(&self, r: &Ray) -> bool;
+}
+
+pub const fn degrees(value: f64) -> f64 {
+    value
+}
+`;
+  assert.deepEqual(getSymbols("rust", { "main.rs": code }), {
+    Point3: "type@0",
+    ASPECT_RATIO: "const@0",
+    SAMPLES: "static@0",
+    Vec3: "struct@0",
+    Material: "enum@0",
+    Hittable: "trait@0",
+    hit: "fn@0",
+    degrees: "fn@0",
+  });
+});
+
+test("doesn't count the brackets of comments and strings", () => {
+  const code = `fn main() {
+    // An unbalanced } in a comment
+    let open = "{";
+    let close = '}';
+    println!("{{}} {}", "(");
+}
+
+fn after() {}
+`;
+  const { symbols } = getSymbolHistory("rust", [
+    listing("Listing", { "main.rs": code }),
+  ]);
+  assert.deepEqual(Object.keys(symbols), ["main", "after"]);
+  assert.equal(symbols.after[0].preview, "fn after() {}");
+});
+
+test("skips the items in comments", () => {
+  const code = `// fn commented() {}
+// struct Commented;
+fn main() {}
+`;
+  assert.deepEqual(getSymbols("rust", { "main.rs": code }), {
+    main: "fn@0",
+  });
+});
+
+test("finds the members of impl blocks and traits, but not nested items", () => {
+  const code = `pub struct Sphere {
+    radius: f64,
+}
+
+impl Sphere {
+    pub fn new(radius: f64) -> Self {
+        fn clamp(value: f64) -> f64 {
+            value
+        }
+        Sphere { radius: clamp(radius) }
+    }
+
+    pub fn radius(&self) -> f64 {
+        self.radius
+    }
+}
+
+pub trait Hittable {
+    fn hit(&self) -> bool;
+    fn bounding_box(&self) -> Aabb {
+        Aabb::default()
+    }
+}
+
+impl Hittable for Sphere {
+    fn hit(&self) -> bool {
+        true
+    }
+}
+`;
+  assert.deepEqual(getSymbols("rust", { "sphere.rs": code }), {
+    Sphere: "struct@0",
+    new: "fn@0",
+    radius: "fn@0",
+    Hittable: "trait@0",
+    hit: "fn@0",
+    bounding_box: "fn@0",
+  });
+});
+
+test("finds generic items and impl blocks", () => {
+  const code = `pub struct HittableList<T: Hittable> {
+    objects: Vec<T>,
+}
+
+impl<T: Hittable> HittableList<T> {
+    pub fn add(&mut self, object: T) {
+        self.objects.push(object);
+    }
+}
+
+impl<'a, T> Hittable for HittableList<T> where T: Hittable + 'a {
+    fn hit<R: Rng>(&self, rng: &mut R) -> bool {
+        false
+    }
+}
+
+pub fn random_in<R: Rng>(rng: &mut R, range: Range<f64>) -> f64 {
+    rng.gen_range(range)
+}
+`;
+  assert.deepEqual(getSymbols("rust", { "hittable.rs": code }), {
+    HittableList: "struct@0",
+    add: "fn@0",
+    random_in: "fn@0",
+  });
+});
+
+test("records the listings that change an item or its impl blocks", () => {
+  const struct = "pub struct Vec3 {\n    e: [f64; 3],\n}\n";
+  const { listings, symbols } = getSymbolHistory("rust", [
+    listing("Add the vector", { "vec3.rs": struct }),
+    listing("Add the main function", { "main.rs": "fn main() {}\n" }),
+    listing("Add the length", {
+      "vec3.rs": `${struct}
+impl Vec3 {
+    pub fn length(&self) -> f64 {
+        0.0
+    }
+}
+`,
+    }),
+  ]);
+  assert.deepEqual(listings, [
+    "Add the vector",
+    "Add the main function",
+    "Add the length",
+  ]);
+  assert.deepEqual(
+    symbols.Vec3.map((entry) => [entry.listing, entry.href]),
+    [
+      [0, "/1-test#rust-add-the-vector-vec3-rs"],
+      [2, "/1-test#rust-add-the-length-vec3-rs"],
+    ],
+  );
+  assert.deepEqual(
+    symbols.main.map((entry) => entry.listing),
+    [1],
+  );
+});
+
+test("leaves out the names that are ambiguous or short", () => {
+  const code = `pub struct Vec3 {}
+
+impl Vec3 {
+    pub fn x(&self) -> f64 {
+        0.0
+    }
+    pub fn unit(&self) -> Vec3 {
+        *self
+    }
+}
+
+pub struct Quat {}
+
+impl Quat {
+    pub fn unit(&self) -> Quat {
+        *self
+    }
+}
+`;
+  assert.deepEqual(getSymbols("rust", { "math.rs": code }), {
+    Vec3: "struct@0",
+    Quat: "struct@0",
+  });
+});
+
+test("finds the classes, aliases and functions of a C++ file", () => {
+  const code = `#include <memory>
+
+class hittable;
+
+using color = vec3;
+
+struct hit_record {
+    point3 p;
+    double t;
+};
+
+class sphere : public hittable {
+  public:
+    sphere(const point3& center, double radius) : center(center), radius(radius) {}
+
+    bool hit(const ray& r, interval ray_t, hit_record& rec) const override {
+        return false;
+    }
+
+    double area() const;
+
+  private:
+    point3 center;
+    double radius;
+};
+
+double sphere::area() const {
+    return 4 * pi * radius * radius;
+}
+
+inline std::shared_ptr<hittable> make_sphere(point3 center, double radius) {
+    return std::make_shared<sphere>(center, radius);
+}
+`;
+  assert.deepEqual(getSymbols("cpp", { "sphere.h": code }), {
+    color: "using@0",
+    hit_record: "struct@0",
+    sphere: "class@0",
+    area: "function@0",
+    make_sphere: "function@0",
+  });
+});
+
+test("finds the members of C++ class templates", () => {
+  const code = `template <typename T>
+class interval_of {
+  public:
+    T min, max;
+
+    interval_of(T min, T max) : min(min), max(max) {}
+
+    T size() const {
+        return max - min;
+    }
+
+    std::vector<T> samples(int count) const {
+        return {};
+    }
+};
+
+std::vector<std::shared_ptr<hittable>> objects;
+`;
+  assert.deepEqual(getSymbols("cpp", { "interval.h": code }), {
+    interval_of: "class@0",
+    size: "function@0",
+    samples: "function@0",
+  });
+});
+
+test("has no symbols for the languages without a parser", () => {
+  assert.equal(getSymbolHistory("go", [listing("Listing", {})]), null);
+});
@@ -1,11 +1,13 @@
 import fs from "node:fs";
 
 import { sync as globSync } from "glob";
+import { ANNOTATION_REGEX, parseMeta } from "rehype-pretty-code/meta";
 import remarkParse from "remark-parse";
 import { unified } from "unified";
 import { visit } from "unist-util-visit";
 
 import remarkConfig from "../.remarkrc.mjs";
+import { LANGS } from "../lib/languages.mjs";
 
 export const getSortedMdxFilenames = () => {
   let mdxFilenames = globSync("pages/**/*-*.mdx");
@@ -21,7 +23,9 @@ export const getSortedMdxFilenames = () => {
   return mdxFilenames;
 };
 
-export const parseMdAstNodeMeta = (node) => {
+// Parse the meta string of a code block with the grammar shared with
+// rehype-pretty-code, and exit on an invalid meta string
+export const parseMdAstNodeMeta = (node, mdxFilename) => {
   let meta = {
     lang: node.lang,
     filename: "",
@@ -30,70 +34,143 @@ export const parseMdAstNodeMeta = (node) => {
     genImage: false,
     genLargeImage: false,
     checkCompile: false,
+    expectStdout: null,
+    expectStdoutFile: null,
+    expectImageSize: null,
+    removedLines: [],
   };
 
   if (!node.meta) {
     return meta;
   }
 
-  let m = node.meta.match(/^filename="(\S+) \| ([^"]*)"(.*)$/);
+  const { attributes, errors } = parseMeta(node.meta);
+  if (errors.length) {
+    for (const error of errors) {
+      console.log(
+        `Error: ${mdxFilename}:${node.position.start.line}: ${error.message}`,
+      );
+    }
+    process.exit(1);
+  }
+
+  let m = attributes.filename?.match(/^(\S+) \| (.*)$/);
   if (m) {
     meta.filename = m[1];
     meta.title = m[2];
   }
 
-  let addCargoDep = node.meta.match(/addCargoDep="([^"]*)"/);
-  if (addCargoDep) {
-    meta.addCargoDep = addCargoDep[1];
-  }
-
-  let genImage = node.meta.match(/(^|\s)genImage(\s|$)/);
-  if (genImage) {
-    meta.genImage = true;
-  }
-
-  let genLargeImage = node.meta.match(/(^|\s)genLargeImage(\s|$)/);
-  if (genLargeImage) {
-    meta.genLargeImage = true;
-  }
-
-  let checkCompile = node.meta.match(/(^|\s)checkCompile(\s|$)/);
-  if (checkCompile) {
-    meta.checkCompile = true;
-  }
+  meta.addCargoDep = attributes.addCargoDep ?? "";
+  meta.genImage = attributes.genImage ?? false;
+  meta.genLargeImage = attributes.genLargeImage ?? false;
+  meta.checkCompile = attributes.checkCompile ?? false;
+  meta.expectStdout = attributes.expectStdout?.replaceAll("\\n", "\n") ?? null;
+  meta.expectStdoutFile = attributes.expectStdoutFile ?? null;
+  meta.expectImageSize = attributes.expectImageSize ?? null;
+  meta.removedLines = attributes.removed ?? [];
 
   return meta;
 };
 
+// The code of a listing, without the lines that its code block shows as
+// removed (removed="...") and the annotation markers, e.g. "// (1)"
+export const getListingCode = (code, meta) =>
+  code
+    .split("\n")
+    .filter((_, index) => !meta.removedLines.includes(index + 1))
+    .map((line) => line.replace(ANNOTATION_REGEX, ""))
+    .join("\n");
+
 export const getMdxListingsByLang = () => {
   const extractCodeBlocksFromMdxFile = (filename, listingsByLang) => {
     const doc = fs.readFileSync(filename);
 
     const ast = unified().use(remarkParse).use(remarkConfig).parse(doc);
 
-    visit(ast, "code", (node) => {
+    // Image listings waiting for the <Img> that shows their output
+    let pendingImageListings = [];
+
+    // A later image listing in the same language supersedes one that never
+    // got an <Img>
+    const queueImageListing = (listing) => {
+      if (
+        (listing.genImage || listing.genLargeImage) &&
+        !pendingImageListings.includes(listing)
+      ) {
+        pendingImageListings = pendingImageListings.filter(
+          (l) => l.lang != listing.lang,
+        );
+        pendingImageListings.push(listing);
+      }
+    };
+
+    const isCodeOrImg = (node) =>
+      node.type == "code" ||
+      (node.type == "mdxJsxFlowElement" && node.name == "Img");
+
+    visit(ast, isCodeOrImg, (node) => {
+      if (node.type == "mdxJsxFlowElement") {
+        const src = node.attributes.find((attr) => attr.name == "src");
+        if (src) {
+          for (const listing of pendingImageListings) {
+            listing.imageSrc = src.value;
+          }
+          pendingImageListings = [];
+        }
+        return;
+      }
+
       if (node.meta == null) {
         return;
       }
 
-      const ALLOW_LANGS = ["rust", "cpp"];
-      if (ALLOW_LANGS.indexOf(node.lang) == -1) {
+      if (!LANGS.includes(node.lang)) {
         return;
       }
 
       const listing = {};
 
-      let meta = parseMdAstNodeMeta(node);
+      let meta = parseMdAstNodeMeta(node, filename);
+      const code = getListingCode(node.value, meta);
+
+      // Adjacent code blocks with the same title make up a listing that
+      // changes more than one file
+      const langListings = listingsByLang[node.lang] ?? [];
+      const lastListing = langListings[langListings.length - 1];
+      if (
+        meta.title &&
+        lastListing &&
+        lastListing.title == meta.title &&
+        lastListing.mdxFilename == filename &&
+        !lastListing.files.some((file) => file.filename == meta.filename)
+      ) {
+        lastListing.files.push({ filename: meta.filename, code });
+        lastListing.addCargoDep ||= meta.addCargoDep;
+        lastListing.genImage ||= meta.genImage;
+        lastListing.genLargeImage ||= meta.genLargeImage;
+        lastListing.checkCompile ||= meta.checkCompile;
+        lastListing.expectStdout ??= meta.expectStdout;
+        lastListing.expectStdoutFile ??= meta.expectStdoutFile;
+        lastListing.expectImageSize ??= meta.expectImageSize;
+        queueImageListing(lastListing);
+        return;
+      }
 
       if (meta.title) {
         listing.lang = node.lang;
-        listing.filename = meta.filename;
+        listing.mdxFilename = filename;
+        listing.mdxLine = node.position.start.line;
         listing.title = meta.title;
         listing.addCargoDep = meta.addCargoDep;
         listing.genImage = meta.genImage;
         listing.genLargeImage = meta.genLargeImage;
         listing.checkCompile = meta.checkCompile;
-        listing.code = node.value;
+        listing.expectStdout = meta.expectStdout;
+        listing.expectStdoutFile = meta.expectStdoutFile;
+        listing.expectImageSize = meta.expectImageSize;
+        listing.imageSrc = "";
+        listing.files = [{ filename: meta.filename, code }];
+        queueImageListing(listing);
         if (!(listing.lang in listingsByLang)) {
           listingsByLang[listing.lang] = [];
         }
@@ -0,0 +1,95 @@
+import { diffSequences } from "./diff.mjs";
+
+// Split a line into words, runs of whitespace, and single punctuation marks
+const tokenize = (line) => line.match(/\w+|\s+|[^\w\s]/g) ?? [];
+
+// Find the changed parts of a modified line, as [{ text, start }] where
+// start is the offset of text in newLine.
+// Returns null if the edit is not small enough to be shown word by word.
+export const diffWords = (oldLine, newLine) => {
+  const MAX_RUNS = 3;
+  const MAX_CHANGED_RATIO = 0.5;
+
+  const oldTokens = tokenize(oldLine);
+  const newTokens = tokenize(newLine);
+  const changed = diffSequences(oldTokens, newTokens)
+    .filter((op) => op.type != "-")
+    .map((op) => op.type == "+");
+
+  // Group changed tokens into runs, joining runs that are only separated by
+  // whitespace
+  const runs = [];
+  let offset = 0;
+  let run = null;
+  let gap = "";
+  for (const [index, token] of newTokens.entries()) {
+    if (changed[index]) {
+      if (run) {
+        run.text += gap + token;
+      } else {
+        run = { text: token, start: offset };
+        runs.push(run);
+      }
+      gap = "";
+    } else if (run && /^\s+$/.test(token)) {
+      gap += token;
+    } else {
+      run = null;
+      gap = "";
+    }
+    offset += token.length;
+  }
+
+  for (const run of runs) {
+    const trimmed = run.text.trimStart();
+    run.start += run.text.length - trimmed.length;
+    run.text = trimmed.trimEnd();
+  }
+
+  const changedLength = runs.reduce((sum, run) => sum + run.text.length, 0);
+
+  if (
+    runs.length == 0 || // Only removed words
+    runs.length > MAX_RUNS ||
+    changedLength > newLine.trim().length * MAX_CHANGED_RATIO ||
+    // "/" ends a word in the highlight meta, and braces could be taken for
+    // highlighted lines. A single character is too short to be read as a
+    // change, and is found in too many other words.
+    runs.some((run) => run.text.length < 2 || /[/{}]/.test(run.text))
+  ) {
+    return null;
+  }
+
+  return runs;
+};
+
+// Whether the occurrence of word at the given position is part of a longer
+// word, e.g. "in" in "inline"
+const isSubWord = (line, position, word) =>
+  (/^\w/.test(word) && /\w/.test(line[position - 1] ?? "")) ||
+  (/\w$/.test(word) && /\w/.test(line[position + word.length] ?? ""));
+
+// Find which occurrence of word (counting from 1) starts at the given line
+// index and column. The word highlighter of rehype-pretty-code counts every
+// occurrence of the text, also inside longer words, line by line and left to
+// right. Returns null if that position is not counted as an occurrence, or if
+// the word is part of a longer word anywhere in the code, as a highlight of it
+// would be found in those words too.
+export const findOccurrenceNumber = (lines, lineIndex, start, word) => {
+  let count = 0;
+  let number = null;
+  for (const [index, line] of lines.entries()) {
+    let position = line.indexOf(word);
+    while (position != -1) {
+      if (isSubWord(line, position, word)) {
+        return null;
+      }
+      count++;
+      if (index == lineIndex && position == start) {
+        number = count;
+      }
+      position = line.indexOf(word, position + word.length);
+    }
+  }
+  return number;
+};
@@ -0,0 +1,61 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { diffWords, findOccurrenceNumber } from "./word-diff.mjs";
+
+test("finds the changed words of a line", () => {
+  assert.deepEqual(diffWords("let x = a + b;", "let x = a * scale + b;"), [
+    { text: "* scale", start: 10 },
+  ]);
+});
+
+test("finds a changed word in a line of unchanged ones", () => {
+  assert.deepEqual(diffWords("let samples = 10;", "let samples = 100;"), [
+    { text: "100", start: 14 },
+  ]);
+  assert.deepEqual(
+    diffWords("let camera = Camera::new();", "let cam = Camera::new();"),
+    [{ text: "cam", start: 4 }],
+  );
+});
+
+test("leaves out lines with single characters or large edits", () => {
+  assert.equal(diffWords("for r in rays {", "for s in rays {"), null);
+  assert.equal(
+    diffWords(
+      "let v = Vec3::new(0.0, 0.0, 0.0);",
+      "let v = Vec3::new(1.0, 0.0, 0.0);",
+    ),
+    null,
+  );
+  assert.equal(diffWords("let a = b;", "fn main() -> i32 {"), null);
+  assert.equal(diffWords("let a = b;", "let a = b; // c/d"), null);
+  assert.equal(diffWords("let a = b + c;", "let a = b;"), null);
+});
+
+test("counts the occurrences of a word line by line", () => {
+  const lines = ["let ray = ray_color(ray);", "", "ray.origin()"];
+  assert.equal(findOccurrenceNumber(lines, 0, 4, "ray"), null);
+  assert.equal(findOccurrenceNumber(lines, 0, 4, "ray ="), 1);
+  assert.equal(
+    findOccurrenceNumber(["let t = hit;", "if hit {", "hit"], 1, 3, "hit"),
+    2,
+  );
+  assert.equal(
+    findOccurrenceNumber(["let t = hit;", "if hit {", "hit"], 1, 0, "hit"),
+    null,
+  );
+});
+
+test("leaves out words that are part of longer words", () => {
+  const lines = ['eprint!("\\rScanlines remaining");', "let r = 0.5;"];
+  assert.equal(findOccurrenceNumber(lines, 1, 4, "r"), null);
+  assert.equal(
+    findOccurrenceNumber(["inline fn", "let in = 1;"], 1, 4, "in"),
+    null,
+  );
+  assert.equal(
+    findOccurrenceNumber(["let a = b;", "a.len()", "a"], 2, 0, "a"),
+    3,
+  );
+});
@@ -1,4 +1,8 @@
+import { Annotations } from "components/Annotations";
+import { Benchmark } from "components/Benchmark";
+import { ChapterDownloads } from "components/ChapterDownloads";
 import { Fig, Img } from "components/Image";
+import { Pre } from "components/Pre";
 import { Tab, Tabs } from "components/Tabs";
 import { useRouter } from "next/router";
 import { useConfig } from "nextra-theme-docs";
@@ -59,7 +63,16 @@ const config = {
     Tab: Tab,
     Fig: Fig,
     Img: Img,
+    Benchmark: Benchmark,
+    Annotations: Annotations,
+    pre: Pre,
   },
+  main: ({ children }) => (
+    <>
+      <ChapterDownloads />
+      {children}
+    </>
+  ),
   footer: {
     component: null,
   },